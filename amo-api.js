@@ -0,0 +1,415 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { StoreError } from './errors.js';
+import path from 'node:path';
+
+/******************************************************************************/
+
+// addons.mozilla.org client
+
+const store = 'amo';
+
+const apiV5 = 'https://addons.mozilla.org/api/v5/addons';
+
+/******************************************************************************/
+
+// Stolen from:
+// https://github.com/mozilla/web-ext/blob/960d49c3d5/src/util/submit-addon.js#L90-L111
+
+async function fileFromSync(filePath) {
+    // create a File blob from a file path, and ensure it to have the file path basename
+    // as the associated filename, the AMO server API will be checking it on the form-data
+    // submitted and fail with the error message:
+    // "Unsupported file type, please upload a supported file (.crx, .xpi, .zip)."
+    const fileData = await fs.readFile(filePath);
+    return new File([ fileData ], path.basename(filePath));
+}
+
+/******************************************************************************/
+
+async function getJWT() {
+    const [ amoApiKey, amoSecret ] = await Promise.all([
+        utils.getSecret('amo_api_key'),
+        utils.getSecret('amo_secret'),
+    ]);
+    return new utils.JWT(amoApiKey, amoSecret);
+}
+
+// A token expires after a minute and has a unique id, so a new one is set on
+// each attempt of a request, which may be retried long after it was built.
+function withAuth(jwt, options = {}) {
+    return {
+        ...options,
+        headers: ( ) => ({ Authorization: jwt.getToken() }),
+    };
+}
+
+/******************************************************************************/
+
+// Most recent version, listed or unlisted, known to AMO.
+// https://mozilla.github.io/addons-server/topics/api/addons.html#version-list
+
+export async function getCurrentVersion(amoExtensionId) {
+    const jwt = await getJWT();
+    const versionsURL = `${apiV5}/addon/${amoExtensionId}/versions/?filter=all_with_unlisted&page_size=1`;
+    const request = new Request(versionsURL, {
+        headers: {
+            Authorization: jwt.getToken(),
+        },
+    });
+    const { data } = await utils.fetchEx(request, 'json', withAuth(jwt));
+    return data?.results?.[0]?.version;
+}
+
+// Details of a given version, or undefined if AMO does not know it.
+
+export async function getVersion(amoExtensionId, version) {
+    const jwt = await getJWT();
+    const versionURL = `${apiV5}/addon/${amoExtensionId}/versions/v${version}/`;
+    const request = new Request(versionURL, {
+        headers: {
+            Authorization: jwt.getToken(),
+        },
+    });
+    const { response, data } = await utils.fetchEx(request, 'json', withAuth(jwt));
+    if ( response?.ok !== true ) { return; }
+    return data;
+}
+
+/******************************************************************************/
+
+// Attach a source code archive to an existing version, and confirm AMO
+// accepted it.
+// https://mozilla.github.io/addons-server/topics/api/addons.html#version-sources
+//
+// details:
+//   amoExtensionId: AMO extension id
+//   version: version string
+
+function versionPatchRequest(jwt, details, body) {
+    const { amoExtensionId, version } = details;
+    const versionURL = `${apiV5}/addon/${amoExtensionId}/versions/v${version}/`;
+    return new Request(versionURL, {
+        body,
+        headers: {
+            Authorization: jwt.getToken(),
+        },
+        method: 'PATCH',
+    });
+}
+
+export async function uploadSourceCode(sourcePath, details) {
+    const { version } = details;
+    const formData = new FormData();
+    formData.set('source', await fileFromSync(sourcePath));
+    const jwt = await getJWT();
+    const request = versionPatchRequest(jwt, details, formData);
+    if ( utils.settings.dryRun ) {
+        await utils.reportDryRun(request);
+        return;
+    }
+    logger.info(`Uploading source code archive for version ${version}...`);
+    const { response, data } = await utils.fetchEx(request, 'json', withAuth(jwt, {
+        retry: true, // replacing the source archive is harmless
+    }));
+    if ( response?.ok !== true ) {
+        throw await StoreError.fromResponse(
+            `Source code upload failed -- server error ${response?.status}`,
+            { store, phase: 'upload', body: data },
+            response
+        );
+    }
+    if ( Boolean(data?.source) === false ) {
+        throw new StoreError('Source code upload failed -- not attached to version', {
+            store,
+            phase: 'upload',
+            status: response.status,
+            body: data,
+        });
+    }
+    logger.info('Source code archive accepted');
+}
+
+/******************************************************************************/
+
+// AMO v5 add-on submission API
+// https://mozilla.github.io/addons-server/topics/api/addons.html#upload-create
+
+// Report validation messages of a processed upload.
+function logValidationMessages(uploadDetails) {
+    const messages = uploadDetails?.validation?.messages || [];
+    const counts = uploadDetails?.validation;
+    if ( counts !== undefined ) {
+        logger.info(`AMO validation: ${counts.errors || 0} error(s), ${counts.warnings || 0} warning(s), ${counts.notices || 0} notice(s)`);
+    }
+    for ( const message of messages ) {
+        if ( message.type !== 'error' && message.type !== 'warning' ) { continue; }
+        const where = message.file
+            ? ` (${message.file}${message.line ? `:${message.line}` : ''})`
+            : '';
+        logger.info(`  ${message.type}: ${message.message}${where}`);
+    }
+}
+
+// Poll an upload until AMO has processed it.
+async function waitForProcessedUpload(jwt, uploadURL) {
+    const interval = 15; // check every 15 seconds
+    let countdown = 15 * 60 / interval; // for at most 15 minutes
+    for (;;) {
+        await utils.sleep(interval);
+        countdown -= 1;
+        if ( countdown <= 0 ) {
+            throw new StoreError('AMO upload processing timed out', { store, phase: 'poll', timedOut: true });
+        }
+        const request = new Request(uploadURL, {
+            headers: {
+                Authorization: jwt.getToken(),
+            },
+        });
+        const { response, data } = await utils.fetchEx(request, 'json', withAuth(jwt));
+        if ( response?.ok !== true ) {
+            throw await StoreError.fromResponse(
+                `AMO upload status failed -- server error ${response?.status}`,
+                { store, phase: 'poll' },
+                response
+            );
+        }
+        if ( data.processed !== true ) { continue; }
+        return data;
+    }
+}
+
+// Poll a version until its file is signed, which is when its status becomes
+// `public`. Returns the version details, or undefined if still not signed
+// after `timeout` minutes.
+async function waitForSignedFile(jwt, versionURL, timeout = 30) {
+    const interval = 30; // check every 30 seconds
+    let countdown = timeout * 60 / interval;
+    for (;;) {
+        const request = new Request(versionURL, {
+            headers: {
+                Authorization: jwt.getToken(),
+            },
+        });
+        const { response, data } = await utils.fetchEx(request, 'json', withAuth(jwt));
+        if ( response?.ok !== true ) {
+            throw await StoreError.fromResponse(
+                `AMO lookup failed -- server error ${response?.status}`,
+                { store, phase: 'poll' },
+                response
+            );
+        }
+        const status = data.file?.status;
+        logger.info(`AMO file status: ${status}`);
+        if ( status === 'public' ) { return data; }
+        if ( status === 'disabled' ) {
+            throw new StoreError('AMO signing failed -- file disabled', {
+                store,
+                phase: 'poll',
+                status: response.status,
+                body: data,
+            });
+        }
+        countdown -= 1;
+        if ( countdown <= 0 ) { return; }
+        await utils.sleep(interval);
+    }
+}
+
+async function downloadSignedFile(jwt, fileURL, packagePathOut) {
+    logger.info(`Downloading signed xpi package from ${fileURL}...`);
+    const downloadRequest = new Request(fileURL, {
+        headers: {
+            Authorization: jwt.getToken(),
+        },
+    });
+    const {
+        response: downloadResponse,
+        data: signedPackage,
+    } = await utils.fetchEx(downloadRequest, 'bytes', withAuth(jwt));
+    if ( downloadResponse?.ok !== true ) {
+        throw await StoreError.fromResponse(
+            `Download signed package failed -- server error ${downloadResponse?.status}`,
+            { store, phase: 'download' },
+            downloadResponse
+        );
+    }
+    await fs.writeFile(packagePathOut, signedPackage);
+    logger.info(`Signed xpi package downloaded at ${packagePathOut}`);
+}
+
+/******************************************************************************/
+
+// details:
+//   amoExtensionId: AMO extension id
+//   channel: 'listed' or 'unlisted'
+//   sourcePath: source code archive to attach to the version, optional
+//   releaseNotes: localized release notes, optional
+//   approvalNotes: notes for reviewers, optional
+//   wait: whether to wait for the signature, default true, see
+//     checkSignature() otherwise
+//
+// For the unlisted channel, the signed package is downloaded to
+// packagePathOut once signed. For the listed channel, AMO distributes the
+// signed package, and a version still pending review is not a failure.
+
+export async function requestSignature(packagePathIn, packagePathOut, manifest, details) {
+    const { amoExtensionId, channel: amoChannel, sourcePath } = details;
+    const jwt = await getJWT();
+
+    const formData = new FormData();
+    formData.set('channel', amoChannel);
+    formData.set('upload', await fileFromSync(packagePathIn));
+    const uploadRequest = new Request(`${apiV5}/upload/`, {
+        body: formData,
+        headers: {
+            Authorization: jwt.getToken(),
+        },
+        method: 'POST',
+    });
+    const versionsURL = `${apiV5}/addon/${amoExtensionId}/versions/`;
+    const versionBody = {
+        upload: '',
+    };
+    if ( details.releaseNotes !== undefined ) {
+        versionBody.release_notes = details.releaseNotes;
+    }
+    if ( details.approvalNotes !== undefined ) {
+        versionBody.approval_notes = details.approvalNotes;
+    }
+    const versionRequest = uuid => new Request(versionsURL, {
+        body: JSON.stringify({ ...versionBody, upload: uuid }),
+        headers: {
+            Authorization: jwt.getToken(),
+            'Content-Type': 'application/json',
+        },
+        method: 'POST',
+    });
+    if ( utils.settings.dryRun ) {
+        await utils.reportDryRun(uploadRequest);
+        await utils.reportDryRun(versionRequest('[upload uuid]'));
+        if ( sourcePath !== undefined ) {
+            await uploadSourceCode(sourcePath, { amoExtensionId, version: manifest.version });
+        }
+        return;
+    }
+
+    // Upload
+    logger.info('Uploading package to AMO...');
+    const {
+        response: uploadResponse,
+        data: uploadDetails,
+    } = await utils.fetchEx(uploadRequest, 'json', withAuth(jwt));
+    if ( uploadResponse?.ok !== true || uploadDetails?.uuid === undefined ) {
+        throw await StoreError.fromResponse(
+            `Upload failed -- server error ${uploadResponse?.status}`,
+            { store, phase: 'upload', body: uploadDetails },
+            uploadResponse
+        );
+    }
+
+    // Validation
+    logger.info('Waiting for AMO to validate the package...');
+    const processedDetails = uploadDetails.processed === true
+        ? uploadDetails
+        : await waitForProcessedUpload(jwt, uploadDetails.url || `${apiV5}/upload/${uploadDetails.uuid}/`);
+    logValidationMessages(processedDetails);
+    if ( processedDetails.valid !== true ) {
+        throw new StoreError('AMO validation failed', {
+            store,
+            phase: 'upload',
+            body: processedDetails.validation,
+        });
+    }
+
+    // Create version
+    logger.info(`Creating ${amoChannel} version ${manifest.version}...`);
+    const {
+        response: versionResponse,
+        data: versionDetails,
+    } = await utils.fetchEx(versionRequest(uploadDetails.uuid), 'json', withAuth(jwt));
+    if ( versionResponse?.ok !== true || versionDetails?.id === undefined ) {
+        throw await StoreError.fromResponse(
+            `Creating new version failed -- server error ${versionResponse?.status}`,
+            { store, phase: 'publish', body: versionDetails },
+            versionResponse
+        );
+    }
+    logger.info('Version created');
+
+    if ( sourcePath !== undefined ) {
+        await uploadSourceCode(sourcePath, { amoExtensionId, version: manifest.version });
+    }
+    if ( details.wait === false ) { return; }
+
+    // Signature
+    logger.info('Waiting for AMO to sign the xpi package...');
+    const signedDetails = await waitForSignedFile(jwt, `${versionsURL}${versionDetails.id}/`);
+    if ( signedDetails === undefined ) {
+        if ( amoChannel === 'listed' ) {
+            logger.info('Version submitted, still pending review on AMO');
+            return;
+        }
+        throw new StoreError('AMO signing timed out', { store, phase: 'poll', timedOut: true });
+    }
+    logger.info('xpi package successfully signed');
+
+    if ( amoChannel !== 'unlisted' ) { return; }
+    await downloadSignedFile(jwt, signedDetails.file.url, packagePathOut);
+}
+
+// details:
+//   amoExtensionId: AMO extension id
+//   channel: 'listed' or 'unlisted', default 'unlisted'
+//   download: whether to download the signed package, default true for the
+//     unlisted channel only
+//
+// Download the signed package of an already submitted version to
+// packagePathOut. As with requestSignature(), a listed version still pending
+// review is not a failure. Returns whether the signed package was
+// downloaded.
+
+export async function checkSignature(packagePathOut, manifest, details) {
+    const {
+        amoExtensionId,
+        channel: amoChannel = 'unlisted',
+        download = amoChannel === 'unlisted',
+    } = details;
+    const jwt = await getJWT();
+    logger.info('Waiting for AMO to sign the xpi package...');
+    const versionURL = `${apiV5}/addon/${amoExtensionId}/versions/v${manifest.version}/`;
+    const signedDetails = await waitForSignedFile(jwt, versionURL);
+    if ( signedDetails === undefined ) {
+        if ( amoChannel === 'listed' ) {
+            logger.info('Version submitted, still pending review on AMO');
+            return false;
+        }
+        throw new StoreError('AMO signing is pending', { store, phase: 'poll', timedOut: true });
+    }
+    logger.info('Success: xpi package successfully signed')
+    if ( download !== true ) { return false; }
+    await downloadSignedFile(jwt, signedDetails.file.url, packagePathOut);
+    return true;
+}
@@ -0,0 +1,248 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+/******************************************************************************/
+
+// Option specs are objects of the form:
+//   {
+//     type: 'string' | 'boolean' | 'integer' | 'number',
+//     required: true | false,
+//     default: [value],
+//     choices: [ [value], ... ],
+//     description: '[text]',
+//   }
+//
+// Options can be written as `--name=value` or `--flag`. The legacy
+// `name=value` form is still accepted so that existing release scripts keep
+// working.
+
+export class CommandLineError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommandLineError';
+    }
+}
+
+/******************************************************************************/
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for ( let i = 1; i <= a.length; i++ ) {
+        let prev = row[0];
+        row[0] = i;
+        for ( let j = 1; j <= b.length; j++ ) {
+            const tmp = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j-1] + 1,
+                prev + (a[i-1] === b[j-1] ? 0 : 1)
+            );
+            prev = tmp;
+        }
+    }
+    return row[b.length];
+}
+
+function suggestOption(name, candidates) {
+    let best, bestDistance = 3;
+    for ( const candidate of candidates ) {
+        const distance = editDistance(name, candidate);
+        if ( distance >= bestDistance ) { continue; }
+        best = candidate;
+        bestDistance = distance;
+    }
+    return best;
+}
+
+/******************************************************************************/
+
+function coerceValue(name, value, details) {
+    switch ( details.type ) {
+    case 'boolean':
+        if ( value === true ) { return true; }
+        if ( /^(1|true|yes|on)$/i.test(value) ) { return true; }
+        if ( /^(0|false|no|off)$/i.test(value) ) { return false; }
+        throw new CommandLineError(`Option --${name} expects a boolean, got "${value}"`);
+    case 'integer':
+    case 'number': {
+        const n = value !== true && value.trim() !== '' ? Number(value) : NaN;
+        if ( Number.isNaN(n) ) {
+            throw new CommandLineError(`Option --${name} expects a number, got "${value}"`);
+        }
+        if ( details.type === 'integer' && Number.isInteger(n) === false ) {
+            throw new CommandLineError(`Option --${name} expects an integer, got "${value}"`);
+        }
+        return n;
+    }
+    default:
+        if ( value === true ) {
+            throw new CommandLineError(`Option --${name} expects a value`);
+        }
+        return value;
+    }
+}
+
+/******************************************************************************/
+
+// Split raw arguments into positionals and raw option name/value pairs,
+// without validating anything yet: the command, and thus the set of valid
+// options, is not known until the positionals have been looked at.
+
+export function tokenize(argv) {
+    const positionals = [];
+    const rawOptions = [];
+    for ( let i = 0; i < argv.length; i++ ) {
+        const arg = argv[i];
+        if ( arg === '--' ) {
+            positionals.push(...argv.slice(i+1));
+            break;
+        }
+        let name, value;
+        if ( arg.startsWith('--') ) {
+            const pos = arg.indexOf('=');
+            if ( pos === -1 ) {
+                name = arg.slice(2);
+                value = true;
+            } else {
+                name = arg.slice(2, pos);
+                value = arg.slice(pos+1);
+            }
+        } else if ( arg === '-h' ) {
+            name = 'help';
+            value = true;
+        } else if ( /^[a-z][a-z0-9-]*=/i.test(arg) ) {
+            const pos = arg.indexOf('=');
+            name = arg.slice(0, pos);
+            value = arg.slice(pos+1);
+        } else {
+            positionals.push(arg);
+            continue;
+        }
+        rawOptions.push({ name, value });
+    }
+    return { positionals, rawOptions };
+}
+
+/******************************************************************************/
+
+function unknownOptionError(name, candidates, origin) {
+    const suggestion = suggestOption(name, candidates);
+    const where = origin !== undefined ? ` in ${origin}` : '';
+    return new CommandLineError(suggestion !== undefined
+        ? `Unknown option --${name}${where}, did you mean --${suggestion}?`
+        : `Unknown option --${name}${where}`
+    );
+}
+
+function checkChoices(name, value, details) {
+    if ( details.choices === undefined ) { return; }
+    if ( details.choices.includes(value) ) { return; }
+    throw new CommandLineError(
+        `Option --${name} must be one of: ${details.choices.join(', ')}`
+    );
+}
+
+export function parseOptions(rawOptions, spec) {
+    const options = Object.create(null);
+    for ( const raw of rawOptions ) {
+        const details = spec[raw.name];
+        if ( details === undefined ) {
+            throw unknownOptionError(raw.name, Object.keys(spec));
+        }
+        const value = coerceValue(raw.name, raw.value, details);
+        checkChoices(raw.name, value, details);
+        options[raw.name] = value;
+    }
+    return options;
+}
+
+// Merge option values coming from elsewhere than the command line, i.e. a
+// configuration file. Values already present in `options` take precedence.
+// A configuration file holds values shared by all commands: values for
+// options the command does not know about are ignored if `knownNames`, the
+// options of all commands, has them, and refused otherwise.
+
+export function mergeOptions(options, values, spec, origin, knownNames = new Set()) {
+    for ( const [ name, rawValue ] of Object.entries(values) ) {
+        const details = spec[name];
+        if ( details === undefined ) {
+            if ( knownNames.has(name) ) { continue; }
+            throw unknownOptionError(name, [ ...Object.keys(spec), ...knownNames ], origin);
+        }
+        if ( options[name] !== undefined ) { continue; }
+        const value = typeof rawValue === 'string' || details.type === 'string'
+            ? coerceValue(name, `${rawValue}`, details)
+            : rawValue;
+        const expected = details.type === 'integer' ? 'number' : details.type;
+        const mismatch = typeof value !== expected ||
+            details.type === 'integer' && Number.isInteger(value) === false;
+        if ( mismatch ) {
+            throw new CommandLineError(`Option --${name} in ${origin} expects a ${details.type}`);
+        }
+        checkChoices(name, value, details);
+        options[name] = value;
+    }
+    return options;
+}
+
+export function applyDefaults(options, spec) {
+    for ( const [ name, details ] of Object.entries(spec) ) {
+        if ( options[name] !== undefined ) { continue; }
+        if ( details.default !== undefined ) {
+            options[name] = details.default;
+        }
+    }
+    return options;
+}
+
+export function checkRequiredOptions(options, spec) {
+    const missing = [];
+    for ( const [ name, details ] of Object.entries(spec) ) {
+        if ( details.required !== true ) { continue; }
+        if ( options[name] !== undefined && options[name] !== '' ) { continue; }
+        missing.push(`--${name}`);
+    }
+    if ( missing.length === 0 ) { return; }
+    throw new CommandLineError(`Missing required option(s): ${missing.join(', ')}`);
+}
+
+/******************************************************************************/
+
+export function helpFromSpec(spec) {
+    const lines = [];
+    const entries = Object.entries(spec);
+    const labels = entries.map(([ name, details ]) =>
+        details.type === 'boolean' ? `--${name}` : `--${name}=<${details.type}>`
+    );
+    const width = Math.max(...labels.map(a => a.length));
+    for ( let i = 0; i < entries.length; i++ ) {
+        const [ , details ] = entries[i];
+        const notes = [];
+        if ( details.required ) { notes.push('required'); }
+        if ( details.choices ) { notes.push(`one of: ${details.choices.join(', ')}`); }
+        if ( details.default !== undefined && details.type !== 'boolean' ) {
+            notes.push(`default: ${details.default}`);
+        }
+        const suffix = notes.length !== 0 ? ` (${notes.join('; ')})` : '';
+        lines.push(`  ${labels[i].padEnd(width)}  ${details.description || ''}${suffix}`);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,208 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as cli from './commandline.js';
+import * as fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+/******************************************************************************/
+
+// Project configuration file, `publish.config.mjs` (default export) or
+// `publish.config.json`, looked up in the current directory unless
+// `--config=` is used:
+//
+//   {
+//     "defaults": {
+//       "ghowner": "gorhill",
+//       "ghrepo": "uBlock"
+//     },
+//     "profiles": {
+//       "ubol": {
+//         "ghrepo": "uBOL-home",
+//         "chromium": {
+//           "ghasset": "*.chromium.zip",
+//           "storeid": "ddkjiahejlhfcafbddmgiahcphecmpfh"
+//         },
+//         "edge": {
+//           "ghasset": "*.edge.zip",
+//           "storeid": "cimighlppcgcoapaliogpjjdehbnofhn",
+//           "productid": "[...]"
+//         }
+//       },
+//       "ubol-edge": {
+//         "extends": "ubol",
+//         "notes": "Routine update"
+//       }
+//     }
+//   }
+//
+// Keys are the same as command line options. A profile can have one section
+// per store (chromium, edge, firefox), which applies only to the commands
+// for that store. Precedence, highest first: command line, profile store
+// section, profile, extended profiles, store section of defaults, defaults.
+
+export const configFileNames = [
+    'publish.config.mjs',
+    'publish.config.json',
+];
+
+const storeNames = [ 'chromium', 'edge', 'firefox' ];
+
+const resolved = {
+    filePath: '',
+    profile: '',
+    sources: new Map(),
+};
+
+/******************************************************************************/
+
+async function findConfigFile(explicitPath) {
+    if ( explicitPath !== undefined ) {
+        await fs.access(explicitPath).catch(( ) => {
+            throw new cli.CommandLineError(`Configuration file not found: ${explicitPath}`);
+        });
+        return path.resolve(explicitPath);
+    }
+    for ( const name of configFileNames ) {
+        const filePath = path.resolve(name);
+        const found = await fs.access(filePath).then(( ) => true, ( ) => false);
+        if ( found ) { return filePath; }
+    }
+}
+
+export async function loadConfigFile(filePath) {
+    if ( filePath.endsWith('.json') ) {
+        const text = await fs.readFile(filePath, { encoding: 'utf8' });
+        try {
+            return JSON.parse(text);
+        } catch (reason) {
+            throw new cli.CommandLineError(`Invalid JSON in ${filePath}: ${reason.message}`);
+        }
+    }
+    const module = await import(pathToFileURL(filePath).href);
+    return module.default;
+}
+
+/******************************************************************************/
+
+// Return list of layers, highest precedence first, each layer being a
+// dictionary of option values along with a description of its origin.
+
+function layersFromProfile(config, name, store, seen = new Set()) {
+    const profiles = config.profiles || {};
+    const profile = profiles[name];
+    if ( profile === undefined ) {
+        const known = Object.keys(profiles);
+        throw new cli.CommandLineError(known.length !== 0
+            ? `Unknown profile "${name}", expected one of: ${known.join(', ')}`
+            : `Unknown profile "${name}", no profiles defined`
+        );
+    }
+    if ( seen.has(name) ) {
+        throw new cli.CommandLineError(`Circular "extends" in profile "${name}"`);
+    }
+    seen.add(name);
+    const layers = layersFromSection(profile, store, `profile "${name}"`);
+    if ( profile.extends !== undefined ) {
+        layers.push(...layersFromProfile(config, profile.extends, store, seen));
+    }
+    return layers;
+}
+
+function layersFromSection(section, store, origin) {
+    const layers = [];
+    if ( store !== undefined && section[store] !== undefined ) {
+        layers.push({ origin: `${origin}, ${store}`, values: section[store] });
+    }
+    const values = {};
+    for ( const [ key, value ] of Object.entries(section) ) {
+        if ( key === 'extends' || storeNames.includes(key) ) { continue; }
+        values[key] = value;
+    }
+    layers.push({ origin, values });
+    return layers;
+}
+
+/******************************************************************************/
+
+// Fill `options`, which holds the options given on the command line, with
+// values from the configuration file. `knownNames` holds the options of all
+// commands, see cli.mergeOptions().
+
+export async function resolveOptions(options, spec, store, knownNames) {
+    resolved.filePath = '';
+    resolved.profile = options.profile || '';
+    resolved.sources = new Map(
+        Object.keys(options).map(name => [ name, 'command line' ])
+    );
+    const filePath = await findConfigFile(options.config);
+    if ( filePath === undefined ) {
+        if ( options.profile !== undefined ) {
+            throw new cli.CommandLineError(
+                `Profile "${options.profile}" requested but no configuration file found (${configFileNames.join(', ')})`
+            );
+        }
+        return options;
+    }
+    resolved.filePath = filePath;
+    const config = await loadConfigFile(filePath);
+    if ( config instanceof Object === false ) {
+        throw new cli.CommandLineError(`Invalid configuration in ${filePath}`);
+    }
+    const layers = [];
+    if ( options.profile !== undefined ) {
+        layers.push(...layersFromProfile(config, options.profile, store));
+    }
+    if ( config.defaults !== undefined ) {
+        layers.push(...layersFromSection(config.defaults, store, 'defaults'));
+    }
+    for ( const { origin, values } of layers ) {
+        const before = new Set(Object.keys(options));
+        cli.mergeOptions(options, values, spec, `${path.basename(filePath)} (${origin})`, knownNames);
+        for ( const name of Object.keys(options) ) {
+            if ( before.has(name) ) { continue; }
+            resolved.sources.set(name, origin);
+        }
+    }
+    return options;
+}
+
+/******************************************************************************/
+
+// Description of the resolved configuration, for confirmation prompts.
+
+export function configSummary(options) {
+    const lines = [];
+    if ( resolved.filePath !== '' ) {
+        lines.push(resolved.profile !== ''
+            ? `  Configuration: profile "${resolved.profile}" from ${resolved.filePath}`
+            : `  Configuration: ${resolved.filePath}`
+        );
+    } else {
+        lines.push('  Configuration: command line only');
+    }
+    for ( const [ name, source ] of resolved.sources ) {
+        if ( name === 'config' || name === 'profile' ) { continue; }
+        lines.push(`    --${name}=${options[name]} (${source})`);
+    }
+    return lines;
+}
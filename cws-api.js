@@ -0,0 +1,447 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { StoreError } from './errors.js';
+
+/******************************************************************************/
+
+// Chrome Web Store client
+
+const store = 'cws';
+
+/******************************************************************************/
+
+export async function extensionNameFromCWS(storeId) {
+    const { data } = await utils.fetchEx(
+        `https://chromewebstore.google.com/detail/${storeId}`,
+        'text'
+    );
+    if ( data === undefined ) { return '?'; }
+    const match = /<title>([^-<]+)[^<]*?<\/title>/.exec(data);
+    if ( match === null ) { return '?'; }
+    return match[1].trim();
+}
+
+/******************************************************************************/
+
+let accessToken;
+
+export async function getAccessToken() {
+    if ( accessToken !== undefined ) { return accessToken; }
+    logger.info('Generating access token...');
+    const [ cwsId, cwsSecret, cwsRefresh ] = await Promise.all([
+        utils.getSecret('cws_id'),
+        utils.getSecret('cws_secret'),
+        utils.getSecret('cws_refresh'),
+    ]);
+    const authURL = 'https://accounts.google.com/o/oauth2/token';
+    const authRequest = new Request(authURL, {
+        body: JSON.stringify({
+            client_id: cwsId,
+            client_secret: cwsSecret,
+            grant_type: 'refresh_token',
+            refresh_token: cwsRefresh,
+        }),
+        method: 'POST',
+    });
+    const {
+        response: authResponse,
+        data: responseDict,
+    } = await utils.fetchEx(authRequest, 'json', { retry: true });
+    if ( responseDict === undefined ) {
+        throw await StoreError.fromResponse(
+            `Auth failed -- server error ${authResponse?.statusText}`,
+            { store, phase: 'auth' },
+            authResponse
+        );
+    }
+    if ( responseDict.access_token === undefined ) {
+        throw new StoreError('Auth failed -- no access token', {
+            store,
+            phase: 'auth',
+            status: authResponse.status,
+            body: responseDict,
+        });
+    }
+    logger.addSecret(responseDict.access_token);
+    accessToken = `Bearer ${responseDict.access_token}`;
+    return accessToken;
+}
+
+/******************************************************************************/
+
+// Version of the most recently uploaded package, which may or may not be
+// published yet.
+// https://developer.chrome.com/docs/webstore/api/reference/rest/v1.1/items/get
+
+export async function getCurrentVersion(storeId) {
+    const cwsAuth = await getAccessToken();
+    const itemURL = `https://www.googleapis.com/chromewebstore/v1.1/items/${storeId}?projection=DRAFT`;
+    const request = new Request(itemURL, {
+        headers: {
+            'Authorization': cwsAuth,
+            'x-goog-api-version': '2',
+        },
+    });
+    const { data } = await utils.fetchEx(request, 'json');
+    return data?.crxVersion;
+}
+
+/******************************************************************************/
+
+// Chrome Web Store API v2
+// https://developer.chrome.com/docs/webstore/api/reference/rest
+
+const apiV2 = 'https://chromewebstore.googleapis.com';
+
+function itemPathV2(details) {
+    return `publishers/${details.publisherId}/items/${details.storeId}`;
+}
+
+async function requestV2(method, url, body) {
+    const cwsAuth = await getAccessToken();
+    const headers = {
+        'Authorization': cwsAuth,
+    };
+    if ( body !== undefined && body instanceof Uint8Array === false ) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(body);
+    }
+    if ( body === undefined && method === 'POST' ) {
+        headers['Content-Length'] = '0';
+    }
+    return new Request(url, { body, headers, method });
+}
+
+/******************************************************************************/
+
+// Readable descriptions of the statuses and states reported by the store.
+
+// v1.1 publish `status`
+// https://developer.chrome.com/docs/webstore/api/reference/rest/v1.1/items/publish
+const publishStatuses = new Map([
+    [ 'OK', 'The item was successfully published' ],
+    [ 'NOT_AUTHORIZED', 'The caller does not have permission to publish this item' ],
+    [ 'INVALID_DEVELOPER', 'The developer is not allowed to publish this item' ],
+    [ 'DEVELOPER_NO_OWNERSHIP', 'The developer does not own this item' ],
+    [ 'DEVELOPER_SUSPENDED', 'The developer account has been suspended' ],
+    [ 'ITEM_NOT_FOUND', 'The item does not exist' ],
+    [ 'ITEM_PENDING_REVIEW', 'The item is pending review' ],
+    [ 'ITEM_TAKEN_DOWN', 'The item has been taken down' ],
+    [ 'PUBLISHER_SUSPENDED', 'The publisher has been suspended' ],
+]);
+
+// v2 item revision `state`
+// https://developer.chrome.com/docs/webstore/api/reference/rest/v2/ItemState
+const itemStates = new Map([
+    [ 'PENDING_REVIEW', 'Submitted, pending review' ],
+    [ 'STAGED', 'Approved, waiting to be released' ],
+    [ 'PUBLISHED', 'Published to everyone' ],
+    [ 'PUBLISHED_TO_TESTERS', 'Published to trusted testers' ],
+    [ 'REJECTED', 'Rejected by the review' ],
+    [ 'CANCELLED', 'Submission cancelled' ],
+]);
+
+// v2 upload state
+const uploadStates = new Map([
+    [ 'SUCCEEDED', 'Upload processed' ],
+    [ 'IN_PROGRESS', 'Upload is being processed' ],
+    [ 'FAILED', 'Upload processing failed' ],
+    [ 'NOT_FOUND', 'No upload found' ],
+]);
+
+export function describeStatus(status) {
+    return publishStatuses.get(status) ||
+        itemStates.get(status) ||
+        uploadStates.get(status) ||
+        `Unknown status ${status}`;
+}
+
+// Turn the `itemError` or `statusDetail` arrays of a response into lines
+// suitable for reporting.
+function detailsFromResponse(dict) {
+    const out = [];
+    for ( const error of dict?.itemError || [] ) {
+        out.push(`${error.error_code}: ${error.error_detail}`);
+    }
+    for ( const detail of dict?.statusDetail || [] ) {
+        out.push(detail);
+    }
+    return out;
+}
+
+function logDetails(dict) {
+    for ( const line of detailsFromResponse(dict) ) {
+        logger.info(`  ${line}`);
+    }
+}
+
+/******************************************************************************/
+
+// Status of an item, as returned by the v2 fetchStatus endpoint:
+//   publishedItemRevisionStatus: state and distribution channels of the
+//     published version
+//   submittedItemRevisionStatus: state and distribution channels of the
+//     version under review, if any
+//   lastAsyncUploadState: state of the most recent upload
+//
+// details:
+//   storeId: CWS extension id
+//   publisherId: CWS publisher id
+
+export async function fetchItemStatus(details) {
+    const request = await requestV2('GET',
+        `${apiV2}/v2/${itemPathV2(details)}:fetchStatus`
+    );
+    const { response, data } = await utils.fetchEx(request, 'json');
+    if ( response?.ok !== true || data === undefined ) {
+        throw await StoreError.fromResponse(
+            `Fetching item status failed -- server error ${response?.status}`,
+            { store, phase: 'poll', body: data },
+            response
+        );
+    }
+    return data;
+}
+
+// Asynchronous upload processing: wait for the upload to be processed.
+async function waitForUpload(details) {
+    const interval = 10; // check every 10 seconds
+    let countdown = 10 * 60 / interval; // for at most 10 minutes
+    for (;;) {
+        await utils.sleep(interval);
+        countdown -= 1;
+        if ( countdown <= 0 ) {
+            throw new StoreError('Upload processing timed out', { store, phase: 'poll', timedOut: true });
+        }
+        const itemStatus = await fetchItemStatus(details);
+        const state = itemStatus.lastAsyncUploadState;
+        logger.info(`Upload state: ${state}`);
+        if ( state === 'IN_PROGRESS' ) { continue; }
+        return { uploadState: state, ...itemStatus };
+    }
+}
+
+async function submitPublishRequest(publishRequest) {
+    const {
+        response: publishResponse,
+        data: publishDict,
+    } = await utils.fetchEx(publishRequest, 'json');
+    if ( publishResponse?.ok !== true || publishDict === undefined ) {
+        throw await StoreError.fromResponse(
+            `Publishing failed -- server error ${publishResponse?.status}`,
+            { store, phase: 'publish', body: publishDict },
+            publishResponse
+        );
+    }
+    if ( publishDict.state === 'REJECTED' || publishDict.state === 'CANCELLED' ) {
+        logDetails(publishDict);
+        throw new StoreError(`Publishing failed -- ${describeStatus(publishDict.state)}`, {
+            store,
+            phase: 'publish',
+            status: publishResponse.status,
+            body: publishDict,
+        });
+    }
+    return publishDict;
+}
+
+/******************************************************************************/
+
+// details:
+//   storeId: CWS extension id
+//   publisherId: CWS publisher id
+//   deployPercentage: percentage of users who get the update, optional
+//   publishTarget: 'default' or 'trustedTesters'
+//   staged: whether to hold the item once approved, until `releaseStagedItem`
+//
+// Returns the state of the submission.
+
+export async function publishToCWS(filePath, details) {
+    const {
+        deployPercentage,
+        publishTarget = 'default',
+        staged = false,
+    } = details;
+
+    // Read package
+    const data = await fs.readFile(filePath);
+
+    // Prepare requests
+    const uploadRequest = await requestV2('POST',
+        `${apiV2}/upload/v2/${itemPathV2(details)}:upload`,
+        new Uint8Array(data.buffer, data.byteOffset, data.length)
+    );
+    let publishRequest;
+    if ( publishTarget === 'trustedTesters' ) {
+        // Not available in API v2
+        publishRequest = await requestV2('POST',
+            `https://www.googleapis.com/chromewebstore/v1.1/items/${details.storeId}/publish?publishTarget=trustedTesters`
+        );
+    } else {
+        const body = {
+            publishType: staged ? 'STAGED_PUBLISH' : 'DEFAULT_PUBLISH',
+        };
+        if ( deployPercentage !== undefined ) {
+            body.deployInfos = [ { deployPercentage } ];
+        }
+        publishRequest = await requestV2('POST',
+            `${apiV2}/v2/${itemPathV2(details)}:publish`,
+            body
+        );
+    }
+    if ( utils.settings.dryRun ) {
+        await utils.reportDryRun(uploadRequest);
+        await utils.reportDryRun(publishRequest);
+        return;
+    }
+
+    // Upload
+    logger.info('Uploading package...')
+    const {
+        response: uploadResponse,
+        data: uploadResult,
+    } = await utils.fetchEx(uploadRequest, 'json', {
+        retry: true, // re-uploading the same package is harmless
+    });
+    if ( uploadResult === undefined ) {
+        throw await StoreError.fromResponse(
+            `Upload failed -- server error ${uploadResponse?.statusText}`,
+            { store, phase: 'upload' },
+            uploadResponse
+        );
+    }
+    let uploadDict = uploadResult;
+    if ( uploadDict.uploadState === 'IN_PROGRESS' ) {
+        logger.info('Waiting for the upload to be processed...');
+        uploadDict = await waitForUpload(details);
+    }
+    if ( uploadDict.uploadState !== 'SUCCEEDED' ) {
+        logDetails(uploadDict);
+        throw new StoreError(`Upload failed -- ${describeStatus(uploadDict.uploadState)}`, {
+            store,
+            phase: 'upload',
+            status: uploadResponse.status,
+            body: uploadDict,
+        });
+    }
+    logger.info('Upload succeeded.')
+
+    // Publish
+    logger.info('Publishing package...')
+    if ( publishTarget === 'trustedTesters' ) {
+        const {
+            response: publishResponse,
+            data: publishDict,
+        } = await utils.fetchEx(publishRequest, 'json');
+        const statuses = Array.isArray(publishDict?.status) ? publishDict.status : [];
+        for ( const status of statuses ) {
+            logger.info(`Publish status: ${status} -- ${describeStatus(status)}`);
+        }
+        logDetails(publishDict);
+        if ( statuses.includes('ITEM_PENDING_REVIEW') ) {
+            logger.info('Publishing to trusted testers submitted, pending review.')
+            return 'PENDING_REVIEW';
+        }
+        if ( statuses.includes('OK') === false ) {
+            const reasons = statuses.map(a => describeStatus(a)).join('; ');
+            throw await StoreError.fromResponse(
+                `Publishing failed -- ${reasons || 'no status'}`,
+                { store, phase: 'publish', body: publishDict },
+                publishResponse
+            );
+        }
+        logger.info('Publishing to trusted testers succeeded.')
+        return 'PUBLISHED_TO_TESTERS';
+    }
+    const publishDict = await submitPublishRequest(publishRequest);
+    logger.info(`Publishing succeeded, state: ${publishDict.state} -- ${describeStatus(publishDict.state)}`)
+    logDetails(publishDict);
+    return publishDict.state;
+}
+
+/******************************************************************************/
+
+// Change the percentage of users who get the currently published version.
+// The percentage can only be raised.
+//
+// details:
+//   storeId: CWS extension id
+//   publisherId: CWS publisher id
+//   deployPercentage: new percentage
+
+export async function setDeployPercentage(details) {
+    const { deployPercentage } = details;
+    const request = await requestV2('POST',
+        `${apiV2}/v2/${itemPathV2(details)}:setPublishedDeployPercentage`,
+        { deployPercentage }
+    );
+    if ( utils.settings.dryRun ) {
+        await utils.reportDryRun(request);
+        return;
+    }
+    logger.info(`Setting deploy percentage to ${deployPercentage}%...`);
+    const { response } = await utils.fetchEx(request, 'text', { retry: true });
+    if ( response?.ok !== true ) {
+        throw await StoreError.fromResponse(
+            `Setting deploy percentage failed -- server error ${response?.status}`,
+            { store, phase: 'publish' },
+            response
+        );
+    }
+    logger.info('Deploy percentage updated.');
+}
+
+/******************************************************************************/
+
+// Release an item submitted with `staged: true` once it has been approved.
+//
+// details:
+//   storeId: CWS extension id
+//   publisherId: CWS publisher id
+//   deployPercentage: percentage of users who get the update, optional
+//
+// Returns the state of the submission.
+
+export async function releaseStagedItem(details) {
+    const { deployPercentage } = details;
+    const body = {
+        publishType: 'DEFAULT_PUBLISH',
+    };
+    if ( deployPercentage !== undefined ) {
+        body.deployInfos = [ { deployPercentage } ];
+    }
+    const request = await requestV2('POST',
+        `${apiV2}/v2/${itemPathV2(details)}:publish`,
+        body
+    );
+    if ( utils.settings.dryRun ) {
+        await utils.reportDryRun(request);
+        return;
+    }
+    logger.info('Releasing staged item...');
+    const publishDict = await submitPublishRequest(request);
+    logger.info(`Release succeeded, state: ${publishDict.state} -- ${describeStatus(publishDict.state)}`);
+    return publishDict.state;
+}
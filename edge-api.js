@@ -0,0 +1,218 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { StoreError } from './errors.js';
+
+/******************************************************************************/
+
+// Microsoft Edge Add-ons store client
+
+const store = 'edge';
+
+/******************************************************************************/
+
+export async function extensionNameFromEdgeStore(storeId) {
+    const { data } = await utils.fetchEx(
+        `https://microsoftedge.microsoft.com/addons/detail/${storeId}`,
+        'text'
+    );
+    if ( data === undefined ) { return '?'; }
+    const match = /<title>([^-<]+)[^<]*?<\/title>/.exec(data);
+    if ( match === null ) { return '?'; }
+    return match[1].trim();
+}
+
+/******************************************************************************/
+
+// The Edge Add-ons API does not expose the version of a product: its
+// submission status endpoints only report the outcome of a given upload or
+// publish operation, and require the id of that operation. So this uses the
+// endpoint backing the public listing page, which is not documented, and
+// reports the version currently offered to users, not one still in review.
+// https://learn.microsoft.com/en-us/microsoft-edge/extensions-chromium/update/api/addons-api-reference
+
+export async function getCurrentVersion(storeId) {
+    const { data } = await utils.fetchEx(
+        `https://microsoftedge.microsoft.com/addons/getproductdetailsbycrxid/${storeId}`,
+        'json'
+    );
+    return data?.version;
+}
+
+/******************************************************************************/
+
+// Lines describing the `message` and `errors` of an operation status.
+function operationDetails(dict) {
+    const out = [];
+    if ( dict?.message ) {
+        out.push(`  ${dict.message}`);
+    }
+    for ( const error of dict?.errors || [] ) {
+        out.push(`  ${error.message || JSON.stringify(error)}`);
+    }
+    return out;
+}
+
+/******************************************************************************/
+
+// Poll an asynchronous operation until it is no longer in progress.
+// https://learn.microsoft.com/en-us/microsoft-edge/extensions-chromium/update/api/addons-api-reference#check-the-publishing-status
+
+async function waitForOperation(operationURL, headers, phase, timeout) {
+    const interval = 60;                    // check every 60 seconds
+    let countdown = timeout * 60 / interval; // for at most `timeout` minutes
+    for (;;) {
+        await utils.sleep(interval);
+        countdown -= 1
+        if ( countdown <= 0 ) {
+            throw new StoreError('Microsoft store timed out', { store, phase: 'poll', timedOut: true });
+        }
+        const statusRequest = new Request(operationURL, { headers });
+        const {
+            response: statusResponse,
+            data: statusDict,
+        } = await utils.fetchEx(statusRequest, 'json');
+        if ( statusResponse?.status !== 200 ) {
+            throw await StoreError.fromResponse(
+                `Status check failed -- server error ${statusResponse?.status}`,
+                { store, phase: 'poll' },
+                statusResponse
+            );
+        }
+        const { status } = statusDict;
+        if ( status === 'InProgress' ) { continue }
+        const lines = operationDetails(statusDict);
+        if ( lines.length !== 0 ) {
+            logger.info(lines.join('\n'));
+        }
+        if ( status === 'Succeeded' ) { return statusDict; }
+        throw new StoreError(`${phase === 'upload' ? 'Upload' : 'Publish'} failed -- status ${status}`, {
+            store,
+            phase,
+            status: statusResponse.status,
+            body: statusDict,
+        });
+    }
+}
+
+/******************************************************************************/
+
+// details:
+//   productId: Edge Partner Center product id
+//   notes: notes for certification
+//   wait: whether to wait for the outcome of the submission, default true
+
+export async function publishToEdgeStore(filePath, details) {
+    const { productId, notes, wait = true } = details;
+    const [ edgeApiKey, edgeClientId ] = await Promise.all([
+        utils.getSecret('edge_apikey'),
+        utils.getSecret('edge_clientid'),
+    ]);
+    const uploadURL = `https://api.addons.microsoftedge.microsoft.com/v1/products/${productId}/submissions/draft/package`;
+
+    // Read package
+    const data = await fs.readFile(filePath);
+
+    // Upload
+    logger.info(`Uploading package to ${uploadURL}`);
+    const uploadRequest = new Request(uploadURL, {
+        body: data,
+        headers: {
+            'Authorization': `ApiKey ${edgeApiKey}`,
+            'X-ClientID': edgeClientId,
+            'Content-Type': 'application/zip'
+        },
+        method: 'POST',
+    });
+    const publishURL = `https://api.addons.microsoftedge.microsoft.com/v1/products/${productId}/submissions`;
+    const publishNotes = {
+        'Notes': notes || 'Routine update',
+    }
+    const publishRequest = new Request(publishURL, {
+        body: JSON.stringify(publishNotes),
+        headers: {
+            'Authorization': `ApiKey ${edgeApiKey}`,
+            'X-ClientID': edgeClientId,
+        },
+        method: 'POST',
+    });
+    if ( utils.settings.dryRun ) {
+        await utils.reportDryRun(uploadRequest);
+        await utils.reportDryRun(publishRequest);
+        return;
+    }
+    const { response: uploadResponse } = await utils.fetchEx(uploadRequest);
+    if ( uploadResponse?.status !== 202 ) {
+        throw await StoreError.fromResponse(
+            `Upload failed -- server error ${uploadResponse?.status}`,
+            { store, phase: 'upload' },
+            uploadResponse
+        );
+    }
+    const operationId = uploadResponse.headers.get('Location');
+    if ( Boolean(operationId) === false ) {
+        throw new StoreError('Upload failed -- missing Location header', {
+            store,
+            phase: 'upload',
+            status: uploadResponse.status,
+        });
+    }
+    logger.info(`Upload succeeded`);
+
+    // Check upload status
+    logger.info('Checking upload status...');
+    const headers = {
+        'Authorization': `ApiKey ${edgeApiKey}`,
+        'X-ClientID': edgeClientId,
+    };
+    await waitForOperation(`${uploadURL}/operations/${operationId}`, headers, 'upload', 15);
+    logger.info('Package ready to be published.')
+
+    // Publish
+    // https://learn.microsoft.com/en-us/microsoft-edge/extensions-chromium/update/api/addons-api-reference?tabs=v1-1#publish-the-product-draft-submission
+    logger.info('Publish package...')
+    const { response: publishResponse } = await utils.fetchEx(publishRequest);
+    if ( publishResponse?.status !== 202 ) {
+        throw await StoreError.fromResponse(
+            `Publish failed -- server error ${publishResponse?.status}`,
+            { store, phase: 'publish' },
+            publishResponse
+        );
+    }
+    const publishOperationId = publishResponse.headers.get('Location');
+    if ( Boolean(publishOperationId) === false ) {
+        throw new StoreError('Publish failed -- missing Location header', {
+            store,
+            phase: 'publish',
+            status: publishResponse.status,
+        });
+    }
+    logger.info('Submission accepted.')
+    if ( wait === false ) { return; }
+
+    // Check publish status
+    logger.info('Checking publish status...');
+    await waitForOperation(`${publishURL}/operations/${publishOperationId}`, headers, 'publish', 30);
+    logger.info('Publish succeeded.')
+}
@@ -0,0 +1,120 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+/******************************************************************************/
+
+// Errors thrown by the library modules. Only the command line interface
+// decides what to do with them, i.e. which exit code to use.
+
+/******************************************************************************/
+
+// A failure reported by, or while talking to, a store:
+//   store: 'cws' | 'edge' | 'amo' | 'github'
+//   phase: 'auth' | 'upload' | 'poll' | 'publish' | 'download'
+//   status: HTTP status, if any
+//   body: HTTP response body, if any
+//   timedOut: whether the store did not complete an operation in time
+
+export class StoreError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'StoreError';
+        this.store = details.store;
+        this.phase = details.phase;
+        this.status = details.status;
+        this.body = details.body;
+        this.timedOut = details.timedOut === true;
+    }
+
+    static async fromResponse(message, details, response) {
+        let body = details.body;
+        if ( body === undefined && response !== undefined && response.bodyUsed === false ) {
+            body = await response.text().catch(( ) => undefined);
+        }
+        return new StoreError(message, {
+            ...details,
+            status: response?.status,
+            body,
+        });
+    }
+}
+
+/******************************************************************************/
+
+// A failure of the publishing pipeline itself, i.e. asset not found, package
+// not matching the store listing, etc.
+
+export class PublishError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PublishError';
+    }
+}
+
+/******************************************************************************/
+
+// Credentials needed to talk to a store are missing or unusable, i.e. a
+// secret not found in any backend, or a vault which can't be decrypted.
+
+export class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+/******************************************************************************/
+
+// The package failed validation, `problems` is the list of all issues found.
+
+export class ValidationError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ValidationError';
+        this.problems = problems;
+    }
+}
+
+/******************************************************************************/
+
+// The user declined to proceed.
+
+export class AbortedError extends Error {
+    constructor(message = 'Aborted') {
+        super(message);
+        this.name = 'AbortedError';
+    }
+}
+
+/******************************************************************************/
+
+// Publishing to several stores failed for some or all of the stores:
+//   failed: list of stores which failed
+//   results: result of each store, see publish-all.js
+
+export class PartialFailureError extends Error {
+    constructor(message, failed = [], results = []) {
+        super(message);
+        this.name = 'PartialFailureError';
+        this.failed = failed;
+        this.results = results;
+    }
+}
@@ -20,36 +20,59 @@
 */
 
 import * as fs from 'node:fs/promises';
-import { commandLineArgs, fetchEx } from './utils.js';
-import { getSecret, getTempDir, intFromVersion, shellExec } from './utils.js';
+import * as logger from './logger.js';
+import {
+    addUpdateEntry,
+    geckoSettingsFromManifest,
+    readUpdateManifest,
+    updateHashFromFile,
+} from './updates-manifest.js';
+import { fetchEx, getSecret, getTempDir, regexFromGlob } from './utils.js';
+import { reportDryRun, settings, shellExec } from './utils.js';
+import { PublishError, StoreError, ValidationError } from './errors.js';
 import path from 'node:path';
 
 /******************************************************************************/
 
-const githubAuth = `Bearer ${await getSecret('github_token')}`;
-const githubOwner = commandLineArgs.ghowner;
-const githubRepo = commandLineArgs.ghrepo;
-const githubTag = commandLineArgs.ghtag;
-const githubAsset = commandLineArgs.ghasset;
+let githubAuth = '';
+let githubOwner = '';
+let githubRepo = '';
+let githubTag = '';
+let githubAsset = '';
+let githubPrerelease = false;
 
 export const details = {
-    auth: githubAuth,
-    owner: githubOwner,
-    repo: githubRepo,
-    tag: githubTag,
-    asset: githubAsset,
+    auth: '',
+    owner: '',
+    repo: '',
+    tag: '',
+    asset: '',
 };
 
+export function init(options) {
+    githubOwner = details.owner = options.ghowner || '';
+    githubRepo = details.repo = options.ghrepo || '';
+    githubTag = details.tag = options.ghtag || '';
+    githubAsset = details.asset = options.ghasset || '';
+    githubPrerelease = options.ghprerelease === true;
+}
+
 /******************************************************************************/
 
-function validateGithubToken() {
-    if ( githubAuth === '' ) {
-        throw new Error('Need GitHub token');
-    }
+function dryRun() {
+    return settings.dryRun === true;
+}
+
+// The token is looked up only once actually needed, so that commands which
+// do not talk to GitHub do not require it.
+
+async function validateGithubToken() {
+    if ( githubAuth !== '' ) { return; }
+    githubAuth = details.auth = `Bearer ${await getSecret('github_token')}`;
 }
 
-function validateGithubVars() {
-    validateGithubToken();
+async function validateGithubVars() {
+    await validateGithubToken();
     if ( githubOwner === '' ) {
         throw new Error('Need GitHub owner');
     }
@@ -59,16 +82,69 @@ function validateGithubVars() {
     if ( githubTag === '' ) {
         throw new Error('Need GitHub tag');
     }
-    if ( githubAsset === '' ) {
-        throw new Error('Need GitHub asset name');
+}
+
+/******************************************************************************/
+
+// GitHub list endpoints return at most 100 items per page.
+
+async function fetchAllPages(url) {
+    const out = [];
+    for ( let page = 1; ; page++ ) {
+        const separator = url.includes('?') ? '&' : '?';
+        const request = new Request(`${url}${separator}per_page=100&page=${page}`, {
+            headers: {
+                Accept: 'application/vnd.github+json',
+                Authorization: githubAuth,
+            },
+        });
+        const { response, data } = await fetchEx(request, 'json');
+        if ( response?.ok !== true || Array.isArray(data) === false ) {
+            throw await StoreError.fromResponse(
+                `Listing ${url} failed -- server error ${response?.status}`,
+                { store: 'github', phase: 'download', body: data },
+                response
+            );
+        }
+        out.push(...data);
+        if ( data.length < 100 ) { break; }
+    }
+    return out;
+}
+
+// All releases, newest first, including drafts when the token has push
+// access to the repo.
+
+export async function listReleases() {
+    await validateGithubToken();
+    return fetchAllPages(`https://api.github.com/repos/${githubOwner}/${githubRepo}/releases`);
+}
+
+// `latest` stands for the most recent published release, or with
+// `ghprerelease`, the most recent published release or prerelease.
+
+async function resolveLatestTag() {
+    if ( githubTag !== 'latest' ) { return; }
+    let releaseInfo;
+    if ( githubPrerelease ) {
+        const releases = await listReleases();
+        releaseInfo = releases.find(a => a.draft !== true);
+    } else {
+        releaseInfo = await getLatestReleaseInfo();
     }
+    if ( releaseInfo?.tag_name === undefined ) {
+        throw new PublishError(`No latest release found in ${githubOwner}/${githubRepo}`);
+    }
+    githubTag = details.tag = releaseInfo.tag_name;
+    logger.info(`Latest release of ${githubOwner}/${githubRepo} is ${githubTag}`);
 }
 
 /******************************************************************************/
 
 export async function getReleaseInfo() {
-    validateGithubVars();
-    console.log(`Fetching release info for ${githubOwner}/${githubRepo}/${githubTag} from GitHub`);
+    await validateGithubVars();
+    await resolveLatestTag();
+    logger.info(`Fetching release info for ${githubOwner}/${githubRepo}/${githubTag} from GitHub`);
     const releaseInfoUrl =  `https://api.github.com/repos/${githubOwner}/${githubRepo}/releases/tags/${githubTag}`;
     const request = new Request(releaseInfoUrl, {
         headers: {
@@ -77,15 +153,35 @@ export async function getReleaseInfo() {
     });
     const { response, data } = await fetchEx(request, 'json');
     if ( response === undefined ) { return; }
+    // Draft releases can't be looked up by tag
+    if ( response.status === 404 ) {
+        const releases = await listReleases();
+        return releases.find(a => a.tag_name === githubTag);
+    }
     if ( data === undefined ) { return; }
     return data;
 }
 
 /******************************************************************************/
 
+export async function getRepoInfo() {
+    await validateGithubToken();
+    const repoInfoUrl = `https://api.github.com/repos/${githubOwner}/${githubRepo}`;
+    const request = new Request(repoInfoUrl, {
+        headers: {
+            Accept: 'application/vnd.github+json',
+            Authorization: githubAuth,
+        },
+    });
+    const { data } = await fetchEx(request, 'json');
+    return data;
+}
+
+/******************************************************************************/
+
 export async function getLatestReleaseInfo() {
-    validateGithubVars();
-    console.log(`Fetching latest release info for ${githubOwner}/${githubRepo} from GitHub`);
+    await validateGithubVars();
+    logger.info(`Fetching latest release info for ${githubOwner}/${githubRepo} from GitHub`);
     const releaseInfoUrl =  `https://api.github.com/repos/${githubOwner}/${githubRepo}/releases/latest`;
     const request = new Request(releaseInfoUrl, {
         headers: {
@@ -99,21 +195,62 @@ export async function getLatestReleaseInfo() {
 
 /******************************************************************************/
 
-export async function getAssetInfo() {
+// Select the asset matching `pattern`, which is one of:
+// - `/regex/`
+// - a glob, when it contains `*` or `?`
+// - an exact name
+// Throws if more than one asset matches.
+
+export function selectAsset(assets, pattern) {
+    let matcher;
+    const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if ( match !== null ) {
+        const re = new RegExp(match[1], match[2]);
+        matcher = name => re.test(name);
+    } else if ( /[*?]/.test(pattern) ) {
+        const re = regexFromGlob(pattern);
+        matcher = name => re.test(name);
+    } else {
+        matcher = name => name === pattern;
+    }
+    const found = assets.filter(a => matcher(a.name));
+    if ( found.length > 1 ) {
+        throw new PublishError(
+            `Asset "${pattern}" matches more than one asset: ${found.map(a => a.name).join(', ')}`
+        );
+    }
+    return found[0];
+}
+
+export async function getAssetInfo(assetName = githubAsset) {
+    if ( assetName === '' ) {
+        throw new Error('Need GitHub asset name');
+    }
     const releaseInfo = await getReleaseInfo();
     if ( releaseInfo === undefined ) { return; }
-    if ( releaseInfo.assets === undefined ) { return; }
-    for ( const asset of releaseInfo.assets ) {
-        if ( asset.name.includes(githubAsset) ) { return asset; }
-    }
+    // The release only lists its first assets
+    const assets = Array.isArray(releaseInfo.assets) && releaseInfo.assets.length < 100
+        ? releaseInfo.assets
+        : await fetchAllPages(releaseInfo.assets_url);
+    return selectAsset(assets, assetName);
+}
+
+// Public URLs, i.e. for reporting.
+
+export function releaseURL() {
+    return `https://github.com/${githubOwner}/${githubRepo}/releases/tag/${githubTag}`;
+}
+
+export function assetDownloadURL(assetName) {
+    return `https://github.com/${githubOwner}/${githubRepo}/releases/download/${githubTag}/${assetName}`;
 }
 
 /******************************************************************************/
 
 export async function downloadAssetFromRelease(assetInfo) {
-    validateGithubToken();
+    await validateGithubToken();
     const assetURL = assetInfo.url;
-    console.log(`Fetching ${assetURL}`);
+    logger.info(`Fetching ${assetURL}`);
     const request = new Request(assetURL, {
         headers: {
             Authorization: githubAuth,
@@ -121,8 +258,13 @@ export async function downloadAssetFromRelease(assetInfo) {
         },
     });
     const { response, data } = await fetchEx(request, 'bytes');
-    if ( response === undefined ) { return; }
-    if ( data === undefined ) { return; }
+    if ( data === undefined ) {
+        throw await StoreError.fromResponse(
+            `Download of ${assetInfo.name} failed -- server error ${response?.status}`,
+            { store: 'github', phase: 'download' },
+            response
+        );
+    }
     const tempDir = await getTempDir();
     const fileName = `${tempDir}/${assetInfo.name}`;
     await fs.writeFile(fileName, data);
@@ -132,23 +274,32 @@ export async function downloadAssetFromRelease(assetInfo) {
 /******************************************************************************/
 
 export async function uploadAssetToRelease(assetPath, mimeType) {
-    validateGithubToken();
-    console.log(`Uploading "${assetPath}" to GitHub...`);
+    await validateGithubToken();
+    logger.info(`Uploading "${assetPath}" to GitHub...`);
     const data = await fs.readFile(assetPath).catch(( ) => { });
-    if ( data === undefined ) { return; }
+    // In dry-run mode, the asset to upload may legitimately not exist, i.e.
+    // the signed package which would have been produced by AMO
+    if ( data === undefined && dryRun() === false ) { return; }
     const releaseInfo = await getReleaseInfo();
     if ( releaseInfo.upload_url === undefined ) { return; }
     const assetName = path.basename(assetPath);
     const uploadURL = releaseInfo.upload_url.replace('{?name,label}', `?name=${assetName}`);
-    console.log('Upload URL:', uploadURL);
+    logger.info('Upload URL:', uploadURL);
     const request = new Request(uploadURL, {
-        body: new Int8Array(data.buffer, data.byteOffset, data.length),
+        body: data && new Int8Array(data.buffer, data.byteOffset, data.length),
         headers: {
             Authorization: githubAuth,
             'Content-Type': mimeType,
         },
         method: 'POST',
     });
+    if ( dryRun() ) {
+        await reportDryRun(request, data === undefined
+            ? `${assetName} (not available in dry run)`
+            : undefined
+        );
+        return { name: assetName };
+    }
     const { response, data: json } = await fetchEx(request, 'json');
     if ( response === undefined ) { return; }
     return json;
@@ -157,67 +308,314 @@ export async function uploadAssetToRelease(assetPath, mimeType) {
 /******************************************************************************/
 
 export async function deleteAssetFromRelease(assetURL) {
-    validateGithubToken();
-    console.log(`Remove ${assetURL} from GitHub release ${githubTag}...`);
+    await validateGithubToken();
+    logger.info(`Remove ${assetURL} from GitHub release ${githubTag}...`);
     const request = new Request(assetURL, {
         headers: {
             Authorization: githubAuth,
         },
         method: 'DELETE',
     });
-    const { response } = await fetchEx(request);
+    if ( dryRun() ) {
+        await reportDryRun(request);
+        return true;
+    }
+    const { response } = await fetchEx(request, { retry: true });
     return response?.ok;
 }
 
 /******************************************************************************/
 
-export async function updateFirefoxAutoUpdateFile(updateFilePath, details) {
-    validateGithubVars();
-    const { amoExtensionId, manifest, signedPackageName } = details;
-    if ( amoExtensionId === undefined ) {
-        console.log(`amoExtensionId = ${amoExtensionId}`);
-        return;
+// GitHub contents API, to commit without a local checkout
+// https://docs.github.com/en/rest/repos/contents
+
+function githubRequest(url, method = 'GET', body = undefined) {
+    return new Request(url, {
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        headers: {
+            Accept: 'application/vnd.github+json',
+            Authorization: githubAuth,
+        },
+        method,
+    });
+}
+
+async function sendGithubRequest(request, what) {
+    if ( dryRun() ) {
+        await reportDryRun(request);
+        return {};
+    }
+    const { response, data } = await fetchEx(request, 'json');
+    if ( response?.ok !== true ) {
+        throw await StoreError.fromResponse(
+            `${what} failed -- server error ${response?.status}`,
+            { store: 'github', phase: 'publish', body: data },
+            response
+        );
     }
+    return data;
+}
+
+// Returns { sha, text } of a file in the repo, or undefined if it does not
+// exist.
+
+export async function getRepoFile(filePath, branch) {
+    await validateGithubToken();
+    const url = `https://api.github.com/repos/${githubOwner}/${githubRepo}/contents/${filePath}?ref=${encodeURIComponent(branch)}`;
+    const { response, data } = await fetchEx(githubRequest(url), 'json');
+    if ( response?.status === 404 ) { return; }
+    if ( response?.ok !== true || data?.content === undefined ) {
+        throw await StoreError.fromResponse(
+            `Fetching ${filePath} failed -- server error ${response?.status}`,
+            { store: 'github', phase: 'download', body: data },
+            response
+        );
+    }
+    return {
+        sha: data.sha,
+        text: Buffer.from(data.content, 'base64').toString('utf8'),
+    };
+}
+
+export async function putRepoFile(filePath, details) {
+    await validateGithubToken();
+    const { text, sha, branch, message } = details;
+    const url = `https://api.github.com/repos/${githubOwner}/${githubRepo}/contents/${filePath}`;
+    const body = {
+        message,
+        content: Buffer.from(text, 'utf8').toString('base64'),
+        branch,
+    };
+    if ( sha !== undefined ) {
+        body.sha = sha;
+    }
+    logger.info(`Committing ${filePath} to ${githubOwner}/${githubRepo}@${branch}...`);
+    return sendGithubRequest(githubRequest(url, 'PUT', body), `Committing ${filePath}`);
+}
+
+function branchRefURL(branch) {
+    return `https://api.github.com/repos/${githubOwner}/${githubRepo}/git/ref/heads/${branch}`;
+}
+
+// A branch left behind by a previous run, i.e. interrupted or failed, is
+// reset to `fromBranch`.
+
+export async function createBranch(branch, fromBranch) {
+    await validateGithubToken();
+    const { response, data } = await fetchEx(githubRequest(branchRefURL(fromBranch)), 'json');
+    if ( response?.ok !== true || data?.object?.sha === undefined ) {
+        throw await StoreError.fromResponse(
+            `Branch ${fromBranch} not found -- server error ${response?.status}`,
+            { store: 'github', phase: 'publish', body: data },
+            response
+        );
+    }
+    const sha = data.object.sha;
+    const { response: existing } = await fetchEx(githubRequest(branchRefURL(branch)), 'json');
+    if ( existing?.ok === true ) {
+        logger.info(`Resetting existing branch ${branch} to ${fromBranch}...`);
+        const url = `https://api.github.com/repos/${githubOwner}/${githubRepo}/git/refs/heads/${branch}`;
+        return sendGithubRequest(githubRequest(url, 'PATCH', {
+            sha,
+            force: true,
+        }), `Resetting branch ${branch}`);
+    }
+    logger.info(`Creating branch ${branch} from ${fromBranch}...`);
+    const url = `https://api.github.com/repos/${githubOwner}/${githubRepo}/git/refs`;
+    return sendGithubRequest(githubRequest(url, 'POST', {
+        ref: `refs/heads/${branch}`,
+        sha,
+    }), `Creating branch ${branch}`);
+}
+
+// A pull request already opened by a previous run is reused.
+
+export async function createPullRequest(details) {
+    await validateGithubToken();
+    const url = `https://api.github.com/repos/${githubOwner}/${githubRepo}/pulls`;
+    const query = `?state=open&head=${encodeURIComponent(`${githubOwner}:${details.head}`)}&base=${encodeURIComponent(details.base)}`;
+    const { data: existing } = await fetchEx(githubRequest(`${url}${query}`), 'json');
+    if ( Array.isArray(existing) && existing.length !== 0 ) {
+        logger.info(`Pull request already open: ${existing[0].html_url}`);
+        return existing[0];
+    }
+    logger.info(`Opening pull request ${details.head} → ${details.base}...`);
+    const data = await sendGithubRequest(githubRequest(url, 'POST', details), 'Opening pull request');
+    if ( data?.html_url ) {
+        logger.info(`Pull request: ${data.html_url}`);
+    }
+    return data;
+}
+
+/******************************************************************************/
+
+// details:
+//   amoExtensionId: AMO extension id, used when the manifest has no gecko id
+//   manifest: manifest of the signed package
+//   signedPackageName: name of the signed package asset
+//   signedPackagePath: path to the signed package, to compute its hash
+//   keep: number of entries to keep, 0 to keep all, 1 by default
+//   updateInfoURL: URL of the release notes, optional, where {version} and
+//     {tag} are replaced with their values
+//   commitMode: how the change is delivered:
+//     'local': commit in the current checkout and push (default)
+//     'branch': commit to `branch` through the GitHub API
+//     'pr': commit to a new branch through the GitHub API and open a pull
+//       request against `branch`
+//   branch: target branch for 'branch' and 'pr' modes
+//
+// In 'branch' and 'pr' modes, updateFilePath is the path in the repo.
+
+export async function updateFirefoxAutoUpdateFile(updateFilePath, details) {
+    await validateGithubVars();
+    const { manifest, signedPackageName } = details;
+    const commitMode = details.commitMode || 'local';
     if ( manifest === undefined ) {
-        console.log(`manifest = ${manifest}`);
+        logger.info(`manifest = ${manifest}`);
         return;
     }
     if ( signedPackageName === undefined ) {
-        console.log(`signedPackageName = ${signedPackageName}`);
+        logger.info(`signedPackageName = ${signedPackageName}`);
         return;
     }
+    if ( commitMode === 'local' ) {
+        return updateLocalFile(updateFilePath, details);
+    }
+    return updateRepoFile(updateFilePath, details);
+}
+
+async function updatedManifestData(before, details) {
+    const { amoExtensionId, manifest, signedPackageName, signedPackagePath } = details;
+    const gecko = geckoSettingsFromManifest(manifest);
+    const addonId = gecko?.id || amoExtensionId;
+    // In dry-run mode, the signed package may legitimately not exist
+    const updateHash = await updateHashFromFile(signedPackagePath).catch(reason => {
+        if ( dryRun() ) { return; }
+        throw reason;
+    });
+    return addUpdateEntry(before, {
+        addonId,
+        version: manifest.version,
+        updateLink: assetDownloadURL(signedPackageName),
+        updateHash,
+        strictMinVersion: gecko?.strict_min_version,
+        updateInfoURL: details.updateInfoURL?.replace(/\{version\}/g, manifest.version)
+            .replace(/\{tag\}/g, githubTag),
+        keep: details.keep,
+    });
+}
+
+// In 'pr' mode, the change is committed to a branch of its own.
+function targetBranchFromDetails(details) {
+    if ( details.commitMode !== 'pr' ) { return details.branch; }
+    return `publish-extension/firefox-${details.manifest.version}`;
+}
+
+// Whether the update manifest already holds an entry for the signed package,
+// where updateFirefoxAutoUpdateFile() would have put it.
+//
+// details: same as updateFirefoxAutoUpdateFile()
+
+export async function hasFirefoxAutoUpdateEntry(updateFilePath, details) {
+    const { amoExtensionId, manifest, signedPackageName } = details;
+    const commitMode = details.commitMode || 'local';
+    let data;
+    if ( commitMode === 'local' ) {
+        data = await readUpdateManifest(updateFilePath).catch(( ) => undefined);
+    } else {
+        await validateGithubVars();
+        const current = await getRepoFile(updateFilePath, targetBranchFromDetails(details));
+        try {
+            data = JSON.parse(current?.text);
+        } catch {
+        }
+    }
+    const addonId = geckoSettingsFromManifest(manifest)?.id || amoExtensionId;
+    const updates = data?.addons?.[addonId]?.updates;
+    if ( Array.isArray(updates) === false ) { return false; }
+    return updates.some(a =>
+        a?.version === manifest.version &&
+        a?.update_link?.endsWith(`/${signedPackageName}`)
+    );
+}
+
+async function updateRepoFile(repoFilePath, details) {
+    const { manifest, commitMode, branch } = details;
+    const current = await getRepoFile(repoFilePath, branch);
+    let before;
+    if ( current === undefined ) {
+        logger.info(`Creating ${repoFilePath} in ${githubOwner}/${githubRepo}@${branch}`);
+    } else {
+        try {
+            before = JSON.parse(current.text);
+        } catch (reason) {
+            throw new ValidationError(`Invalid update manifest ${repoFilePath}`, [
+                reason.message,
+            ]);
+        }
+    }
+    const data = await updatedManifestData(before, details);
+    const text = JSON.stringify(data, null, 2);
+    if ( dryRun() ) {
+        logger.info([
+            `Dry run -- ${repoFilePath} not modified, would have been:`,
+            text,
+        ].join('\n'));
+    }
+    const message = `Make Firefox dev build auto-update to ${manifest.version}`;
+    const targetBranch = targetBranchFromDetails(details);
+    if ( commitMode === 'pr' ) {
+        await createBranch(targetBranch, branch);
+    }
+    await putRepoFile(repoFilePath, {
+        text,
+        sha: current?.sha,
+        branch: targetBranch,
+        message,
+    });
+    if ( commitMode === 'pr' ) {
+        await createPullRequest({
+            title: message,
+            head: targetBranch,
+            base: branch,
+            body: `Signed package: ${githubTag}/${details.signedPackageName}`,
+        });
+    }
+    return true;
+}
+
+async function updateLocalFile(updateFilePath, details) {
     let r = await shellExec(`git diff --staged`);
     if ( r ) {
-        console.log(`git diff --staged = ${r}`);
+        logger.info(`git diff --staged = ${r}`);
         return;
     }
-    const text = await fs.readFile(updateFilePath, {
-        encoding: 'utf8'
-    }).catch(reason => {
-        console.log(`${reason}`);
-    });
-    if ( text === undefined ) {
-        console.log(`fs.readFile = ${text}`);
-        return;
+    const before = await readUpdateManifest(updateFilePath);
+    if ( before === undefined ) {
+        logger.info(`Creating ${updateFilePath}`);
     }
-    const data = JSON.parse(text);
-    const update = data.addons[amoExtensionId].updates[0];
-    if ( intFromVersion(manifest.version) < intFromVersion(update.version) ) {
-        console.log(`New version older than current version: ${update.version} < ${manifest.version}`);
-        return;
+    const data = await updatedManifestData(before, details);
+    if ( dryRun() ) {
+        logger.info([
+            `Dry run -- ${updateFilePath} not modified, would have been:`,
+            JSON.stringify(data, null, 2),
+            `Dry run -- would have committed and pushed ${updateFilePath}`,
+        ].join('\n'));
+        return true;
     }
-    update.version = manifest.version;
-    update.update_link = `https://github.com/${githubOwner}/${githubRepo}/releases/download/${githubTag}/${signedPackageName}`;
+    await fs.mkdir(path.dirname(updateFilePath), { recursive: true });
     await fs.writeFile(updateFilePath, JSON.stringify(data, null, 2));
-    await shellExec(`git add -u "${updateFilePath}"`);
+    await shellExec(`git add "${updateFilePath}"`);
     r = await shellExec(`git status -s "${updateFilePath}"`);
     if ( Boolean(r) === false ) {
-        console.log(`git status -s "${updateFilePath}" = ${r}`);
+        logger.info(`git status -s "${updateFilePath}" = ${r}`);
         return;
     }
-    shellExec(`
+    await shellExec(`
         git commit -m 'Make Firefox dev build auto-update' "${updateFilePath}"
         git push origin HEAD
-    `, { stdio: 'inherit' });
+    `, { stdio: 'inherit' }).catch(reason => {
+        throw new PublishError(`Failed to commit and push ${updateFilePath}: ${reason.message}`);
+    });
     return true;
 }
@@ -0,0 +1,30 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+// Library entry point, for use by release orchestration code. Functions
+// throw the errors defined in errors.js, they never exit the process.
+
+export * as amo from './amo-api.js';
+export * as cws from './cws-api.js';
+export * as edge from './edge-api.js';
+export * as github from './github-api.js';
+export * as utils from './utils.js';
+export * from './errors.js';
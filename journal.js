@@ -0,0 +1,272 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { PublishError } from './errors.js';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+
+/******************************************************************************/
+
+// Local record of the steps completed by publishing pipelines, so that an
+// interrupted run can be resumed with `--resume` instead of being redone, or
+// fixed by hand. The state file holds one entry per store, extension and
+// version:
+//
+//   {
+//     "firefox/uBlock0@raymondhill.net/1.62.1": {
+//       "source": "gorhill/uBlock/1.62.1/*.firefox.xpi",
+//       "package": { "file": "firefox-uBlock0@raymondhill.net-1.62.1.xpi", ... },
+//       "steps": {
+//         "submit": { "completedAt": "...", "data": { ... } },
+//         ...
+//       },
+//       "startedAt": "...",
+//       "finishedAt": "..."
+//     }
+//   }
+//
+// A copy of the package as fetched is kept next to the state file, since the
+// release asset may no longer be available once a run has been interrupted,
+// i.e. after the unsigned asset has been replaced by the signed one.
+//
+// The state file is kept in the user state directory, not in the current
+// directory, which is usually the checkout of the extension. Nothing is
+// written in dry-run mode.
+
+export const defaultStateFile = path.join(
+    process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'),
+    'publish-extension',
+    'state.json'
+);
+
+/******************************************************************************/
+
+async function readState(filePath) {
+    const text = await fs.readFile(filePath, {
+        encoding: 'utf8',
+    }).catch(( ) => undefined);
+    if ( text === undefined ) { return {}; }
+    try {
+        return JSON.parse(text);
+    } catch {
+        logger.warn(`ignoring unreadable state file ${filePath}`);
+    }
+    return {};
+}
+
+// `publish all` runs one process per store, all sharing the state file. The
+// lock file holds the pid of its owner and is held only while the state file
+// is written: a lock whose owner is gone, or older than a minute, is left
+// behind by an interrupted process and can be broken.
+
+const lockStaleAfter = 60;
+
+async function isStaleLock(lockPath) {
+    const stat = await fs.stat(lockPath).catch(( ) => undefined);
+    if ( stat === undefined ) { return false; }
+    if ( Date.now() - stat.mtimeMs > lockStaleAfter * 1000 ) { return true; }
+    const pid = parseInt(await fs.readFile(lockPath, 'utf8').catch(( ) => ''), 10);
+    if ( Number.isInteger(pid) === false ) { return false; }
+    try {
+        process.kill(pid, 0);
+    } catch (reason) {
+        return reason.code === 'ESRCH';
+    }
+    return false;
+}
+
+async function withLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    for ( let i = 0; ; i++ ) {
+        const handle = await fs.open(lockPath, 'wx').catch(reason => {
+            if ( reason.code !== 'EEXIST' ) { throw reason; }
+        });
+        if ( handle !== undefined ) {
+            await handle.writeFile(`${process.pid}`);
+            await handle.close();
+            break;
+        }
+        if ( await isStaleLock(lockPath) ) {
+            logger.warn(`breaking stale lock ${lockPath}`);
+            await fs.rm(lockPath, { force: true });
+            continue;
+        }
+        if ( i >= 100 ) {
+            throw new PublishError(`State file ${filePath} is locked by another process, remove ${lockPath} if no other run is in progress`);
+        }
+        await utils.sleep(0.1);
+    }
+    try {
+        return await fn();
+    } finally {
+        await fs.rm(lockPath, { force: true });
+    }
+}
+
+function keyFrom(store, extensionId, version) {
+    return `${store}/${extensionId}/${version}`;
+}
+
+/******************************************************************************/
+
+export class Journal {
+    #filePath = '';
+    #key = '';
+    #entry;
+    #resume = false;
+
+    constructor(filePath, key, entry, resume) {
+        this.#filePath = filePath;
+        this.#key = key;
+        this.#entry = entry;
+        this.#resume = resume;
+    }
+
+    // Package kept from an unfinished run of the same source, if any, to be
+    // used instead of fetching the package again. Same as what
+    // fetchPackage() returns, the package is copied since it may be modified.
+    static async findPackage(filePath, details) {
+        const { store, extensionId, source } = details;
+        const state = await readState(filePath);
+        const prefix = `${store}/${extensionId}/`;
+        for ( const [ key, entry ] of Object.entries(state) ) {
+            if ( key.startsWith(prefix) === false ) { continue; }
+            if ( entry.source !== source ) { continue; }
+            if ( entry.finishedAt !== undefined ) { continue; }
+            if ( entry.package === undefined ) { continue; }
+            const packagePath = path.join(path.dirname(filePath), entry.package.file);
+            const found = await fs.access(packagePath).then(( ) => true, ( ) => false);
+            if ( found === false ) { continue; }
+            const tempPath = `${await utils.getTempDir()}/${entry.package.name}`;
+            await fs.copyFile(packagePath, tempPath);
+            logger.info(`Using package kept from interrupted run at ${packagePath}`);
+            return {
+                path: tempPath,
+                name: entry.package.name,
+                assetInfo: entry.package.assetInfo,
+                description: entry.package.description,
+            };
+        }
+    }
+
+    // details:
+    //   store, extensionId, version: identify the entry
+    //   source: description of where the package comes from
+    //   resume: whether to resume an unfinished run
+    static async open(filePath, details) {
+        const { store, extensionId, version, source, resume = false } = details;
+        const key = keyFrom(store, extensionId, version);
+        const state = await readState(filePath);
+        let entry = state[key];
+        if ( entry !== undefined && resume === false && entry.finishedAt === undefined ) {
+            logger.warn(`a previous run for ${key} did not complete, starting over (use --resume to resume it)`);
+        }
+        if ( entry === undefined || resume === false ) {
+            entry = {
+                source,
+                steps: {},
+                startedAt: new Date().toISOString(),
+            };
+        } else {
+            logger.info(`Resuming run for ${key}`);
+        }
+        // Nothing is written until a step completes or the package is kept
+        return new Journal(filePath, key, entry, resume);
+    }
+
+    async #save() {
+        if ( utils.settings.dryRun ) { return; }
+        await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+        await withLock(this.#filePath, async ( ) => {
+            const state = await readState(this.#filePath);
+            state[this.#key] = this.#entry;
+            await fs.writeFile(this.#filePath, JSON.stringify(state, null, 2));
+        });
+    }
+
+    // Keep a copy of the package as fetched, see findPackage().
+    async keepPackage(pkg) {
+        if ( utils.settings.dryRun ) { return; }
+        const file = `${this.#key.replaceAll('/', '-')}${path.extname(pkg.name)}`;
+        await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+        await fs.copyFile(pkg.path, path.join(path.dirname(this.#filePath), file));
+        const { assetInfo } = pkg;
+        this.#entry.package = {
+            file,
+            name: pkg.name,
+            assetInfo: assetInfo !== undefined
+                ? { id: assetInfo.id, name: assetInfo.name, url: assetInfo.url }
+                : undefined,
+            description: pkg.description,
+        };
+        await this.#save();
+    }
+
+    isDone(step) {
+        return this.#entry.steps[step] !== undefined;
+    }
+
+    getData(step) {
+        return this.#entry.steps[step]?.data;
+    }
+
+    async complete(step, data) {
+        this.#entry.steps[step] = {
+            completedAt: new Date().toISOString(),
+            data,
+        };
+        await this.#save();
+    }
+
+    // Run a step unless completed by a resumed run, in which case `verify`,
+    // if provided, is called with the data of the completed step: the step
+    // is run again if it does not return true. Returns the data of the step.
+    async run(step, fn, verify) {
+        if ( this.#resume && this.isDone(step) ) {
+            const data = this.getData(step);
+            const verified = verify !== undefined
+                ? await verify(data)
+                : true;
+            if ( verified === true ) {
+                logger.info(`Step "${step}" already completed, skipping`);
+                return data;
+            }
+            logger.warn(`step "${step}" could not be verified, running it again`);
+        }
+        const data = await fn();
+        await this.complete(step, data);
+        return data;
+    }
+
+    async finish() {
+        this.#entry.finishedAt = new Date().toISOString();
+        if ( this.#entry.package !== undefined && utils.settings.dryRun === false ) {
+            const packagePath = path.join(path.dirname(this.#filePath), this.#entry.package.file);
+            await fs.rm(packagePath, { force: true });
+            this.#entry.package = undefined;
+        }
+        await this.#save();
+    }
+}
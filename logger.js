@@ -0,0 +1,152 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import { appendFileSync } from 'node:fs';
+import process from 'node:process';
+import { format } from 'node:util';
+
+/******************************************************************************/
+
+// All output goes through here, so that credentials never make it to the
+// terminal or the log file:
+// - levels: debug, info, warn, error; debug includes HTTP tracing, see
+//   utils.fetchEx()
+// - info and debug go to stdout, warn and error to stderr, unless stdout is
+//   reserved, i.e. for `--json`
+// - the optional log file records all levels, with timestamps
+//
+// Redacted: values of secrets, see secrets.getSecret(), bearer and API key
+// credentials, JWTs, and the values of well-known credential fields.
+
+export const levels = [ 'debug', 'info', 'warn', 'error' ];
+
+const config = {
+    level: 1,
+    timestamps: false,
+    filePath: '',
+    stdoutReserved: false,
+};
+
+const secretValues = new Set();
+
+// Values this short are likely to also redact unrelated text
+const minSecretLength = 6;
+
+const credentialPatterns = [
+    // Authorization: Bearer <token>, Authorization: ApiKey <key>, JWT <token>
+    [ /\b(Bearer|ApiKey|JWT)\s+[\w.~+/=-]+/gi, '$1 [redacted]' ],
+    // JSON Web Tokens anywhere
+    [ /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g, '[redacted JWT]' ],
+    // "access_token": "...", client_secret=..., etc.
+    [ /(["']?\b(?:access_token|refresh_token|id_token|client_secret|api_key|apikey|password|secret)["']?\s*[:=]\s*["']?)[^"'&\s,}]+/gi, '$1[redacted]' ],
+];
+
+/******************************************************************************/
+
+// details:
+//   level: least level to output, one of `levels`
+//   timestamps: whether to prefix output with timestamps
+//   filePath: log file, appended to
+//   stdoutReserved: whether to output everything to stderr
+
+export function configure(details) {
+    if ( details.level !== undefined ) {
+        config.level = Math.max(levels.indexOf(details.level), 0);
+    }
+    if ( details.timestamps !== undefined ) {
+        config.timestamps = details.timestamps === true;
+    }
+    if ( details.filePath !== undefined ) {
+        config.filePath = details.filePath || '';
+    }
+    if ( details.stdoutReserved !== undefined ) {
+        config.stdoutReserved = details.stdoutReserved === true;
+    }
+}
+
+export function addSecret(value) {
+    if ( typeof value !== 'string' || value === '' ) { return; }
+    if ( secretValues.has(value) ) { return; }
+    secretValues.add(value);
+    if ( value.length < minSecretLength ) {
+        warn(`a secret is shorter than ${minSecretLength} characters, output may be redacted where it should not`);
+    }
+}
+
+export function redact(text) {
+    let out = `${text}`;
+    // Longest first, in case a secret contains another
+    const values = Array.from(secretValues).sort((a, b) => b.length - a.length);
+    for ( const value of values ) {
+        out = out.replaceAll(value, '[redacted]');
+    }
+    for ( const [ re, replacement ] of credentialPatterns ) {
+        out = out.replace(re, replacement);
+    }
+    return out;
+}
+
+/******************************************************************************/
+
+function write(level, args) {
+    const index = levels.indexOf(level);
+    const text = redact(format(...args));
+    const timestamp = new Date().toISOString();
+    if ( config.filePath !== '' ) {
+        const lines = text.split('\n').map(a =>
+            `${timestamp} ${level.toUpperCase().padEnd(5)} ${a}\n`
+        );
+        try {
+            appendFileSync(config.filePath, lines.join(''));
+        } catch {
+        }
+    }
+    if ( index < config.level ) { return; }
+    // The log file already tells the level
+    let out = level === 'warn' ? `Warning: ${text}` : text;
+    if ( config.timestamps ) {
+        out = `${timestamp} ${out}`;
+    }
+    const stream = index >= 2 ? process.stderr : infoStream();
+    stream.write(`${out}\n`);
+}
+
+// Where info messages go, also used for confirmation prompts.
+
+export function infoStream() {
+    return config.stdoutReserved ? process.stderr : process.stdout;
+}
+
+export function debug(...args) {
+    write('debug', args);
+}
+
+export function info(...args) {
+    write('info', args);
+}
+
+export function warn(...args) {
+    write('warn', args);
+}
+
+export function error(...args) {
+    write('error', args);
+}
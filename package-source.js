@@ -0,0 +1,190 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as ghapi from './github-api.js';
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { CommandLineError } from './commandline.js';
+import { PublishError } from './errors.js';
+import { ZipArchive } from './zip.js';
+import path from 'node:path';
+
+/******************************************************************************/
+
+// Where the package to publish comes from:
+// - a GitHub release asset (default)
+// - a local package file, `--package=`
+// - a local directory, `--srcdir=`, zipped on the fly
+//
+// The package is always copied or created in a temporary directory, since it
+// may be modified before being uploaded.
+
+export const defaultExcludes = '**/.*';
+
+// Fixed timestamp for entries of packages created from a directory, so that
+// the same directory content always results in the same package.
+const zipEntryDate = new Date(1980, 0, 1);
+
+/******************************************************************************/
+
+export function isLocalSource(options) {
+    return Boolean(options.package) || Boolean(options.srcdir);
+}
+
+export function checkSourceOptions(options) {
+    if ( options.package && options.srcdir ) {
+        throw new CommandLineError('Options --package and --srcdir are mutually exclusive');
+    }
+    if ( isLocalSource(options) ) { return; }
+    const missing = [ 'ghowner', 'ghrepo', 'ghtag', 'ghasset' ].filter(a =>
+        Boolean(options[a]) === false
+    );
+    if ( missing.length === 0 ) { return; }
+    throw new CommandLineError(
+        `Missing required option(s): ${missing.map(a => `--${a}`).join(', ')} (or use --package or --srcdir)`
+    );
+}
+
+/******************************************************************************/
+
+function patternsFromOption(value) {
+    return (value || '').split(',')
+        .map(a => a.trim())
+        .filter(a => a !== '')
+        .map(a => utils.regexFromGlob(a));
+}
+
+async function listDirectory(rootDir, includes, excludes) {
+    const out = [];
+    const isExcluded = relPath => excludes.some(re => re.test(relPath));
+    const walk = async relDir => {
+        const entries = await fs.readdir(path.join(rootDir, relDir), { withFileTypes: true });
+        for ( const entry of entries ) {
+            const relPath = relDir !== '' ? `${relDir}/${entry.name}` : entry.name;
+            if ( isExcluded(relPath) ) { continue; }
+            if ( entry.isDirectory() ) {
+                await walk(relPath);
+                continue;
+            }
+            if ( entry.isFile() === false ) { continue; }
+            if ( includes.length !== 0 && includes.some(re => re.test(relPath)) === false ) {
+                continue;
+            }
+            out.push(relPath);
+        }
+    };
+    await walk('');
+    // Stable ordering regardless of file system
+    return out.sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+}
+
+export async function zipDirectory(srcDir, packagePath, options = {}) {
+    const includes = patternsFromOption(options.include);
+    const excludes = patternsFromOption(options.exclude ?? defaultExcludes);
+    const files = await listDirectory(srcDir, includes, excludes);
+    if ( files.length === 0 ) {
+        throw new PublishError(`No files to package in ${srcDir}`);
+    }
+    const archive = new ZipArchive();
+    for ( const relPath of files ) {
+        const data = await fs.readFile(path.join(srcDir, relPath));
+        archive.set(relPath, new Uint8Array(data.buffer, data.byteOffset, data.length), {
+            date: zipEntryDate,
+        });
+    }
+    await archive.save(packagePath);
+    return files.length;
+}
+
+/******************************************************************************/
+
+// Returns:
+//   path: path to a temporary copy of the package
+//   name: file name of the package
+//   assetInfo: GitHub asset info, if from a GitHub release
+//   description: lines describing the source, for confirmation prompts
+
+export async function fetchPackage(options) {
+    if ( options.package ) {
+        const name = path.basename(options.package);
+        const tempDir = await utils.getTempDir();
+        const packagePath = `${tempDir}/${name}`;
+        await fs.copyFile(options.package, packagePath).catch(reason => {
+            throw new PublishError(`Unable to read package ${options.package}: ${reason.message}`);
+        });
+        logger.info(`Package copied to ${packagePath}`);
+        return {
+            path: packagePath,
+            name,
+            description: [
+                `  Package: "${path.resolve(options.package)}"`,
+            ],
+        };
+    }
+
+    if ( options.srcdir ) {
+        const srcDir = path.resolve(options.srcdir);
+        const stat = await fs.stat(srcDir).catch(( ) => undefined);
+        if ( stat?.isDirectory() !== true ) {
+            throw new PublishError(`Not a directory: ${options.srcdir}`);
+        }
+        const name = `${path.basename(srcDir)}.zip`;
+        const tempDir = await utils.getTempDir();
+        const packagePath = `${tempDir}/${name}`;
+        const count = await zipDirectory(srcDir, packagePath, options);
+        logger.info(`Packaged ${count} files from ${srcDir} at ${packagePath}`);
+        return {
+            path: packagePath,
+            name,
+            description: [
+                `  Source directory: "${srcDir}" (${count} files)`,
+            ],
+        };
+    }
+
+    const assetInfo = await ghapi.getAssetInfo();
+    if ( assetInfo === undefined ) {
+        throw new PublishError(`Asset "${ghapi.details.asset}" not found in release ${ghapi.details.tag}`);
+    }
+    const packagePath = await ghapi.downloadAssetFromRelease(assetInfo);
+    logger.info('Asset saved at', packagePath);
+    return {
+        path: packagePath,
+        name: assetInfo.name,
+        assetInfo,
+        description: [
+            `  GitHub owner: "${ghapi.details.owner}"`,
+            `  GitHub repo: "${ghapi.details.repo}"`,
+            `  Release tag: "${ghapi.details.tag}"`,
+            `  Asset name: "${assetInfo.name}"`,
+        ],
+    };
+}
+
+// Identifies where the package comes from, to find the package kept by an
+// interrupted run of the same source, see journal.js.
+
+export function sourceFromOptions(options) {
+    if ( options.package ) { return path.resolve(options.package); }
+    if ( options.srcdir ) { return path.resolve(options.srcdir); }
+    return `${options.ghowner}/${options.ghrepo}/${options.ghtag}/${options.ghasset}`;
+}
@@ -0,0 +1,198 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as ghapi from './github-api.js';
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { PublishError } from './errors.js';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+
+/******************************************************************************/
+
+// Record of what was published, so that anyone can verify that what a store
+// distributes matches the GitHub release:
+// - `<store>.SHA256SUMS`: `sha256sum -c` compatible checksums of the files
+//   attached to the release
+// - `<store>.uploaded.SHA256SUMS`: same, for the package as uploaded to the
+//   store, if modified, which has the name of the release asset
+// - `<store>.provenance.json`: source, checksums, manifest changes, timestamps
+//
+// Files are identified by their role:
+// - 'asset': the package as found in the release or local source
+// - 'package': the package as uploaded to the store, if modified
+// - 'signed': the package signed by the store
+
+/******************************************************************************/
+
+async function hashFile(filePath) {
+    const data = await fs.readFile(filePath);
+    return {
+        size: data.length,
+        sha256: createHash('sha256').update(data).digest('hex'),
+        sha512: createHash('sha512').update(data).digest('hex'),
+    };
+}
+
+// List of changes between two manifests, one entry per changed property,
+// nested properties being identified by their dotted path.
+
+export function diffManifests(before, after, prefix = '') {
+    const out = [];
+    const keys = new Set([
+        ...Object.keys(before || {}),
+        ...Object.keys(after || {}),
+    ]);
+    for ( const key of keys ) {
+        const a = before?.[key];
+        const b = after?.[key];
+        const where = prefix !== '' ? `${prefix}.${key}` : key;
+        const isDict = v => v instanceof Object && Array.isArray(v) === false;
+        if ( isDict(a) && isDict(b) ) {
+            out.push(...diffManifests(a, b, where));
+            continue;
+        }
+        if ( JSON.stringify(a) === JSON.stringify(b) ) { continue; }
+        out.push({ path: where, before: a, after: b });
+    }
+    return out;
+}
+
+/******************************************************************************/
+
+// Start a record once the package has been fetched, before it is modified.
+//
+// details:
+//   store: 'chromium' | 'edge' | 'firefox'
+//   storeId: extension id in the store
+
+export async function startProvenance(pkg, details) {
+    const record = {
+        store: details.store,
+        storeId: details.storeId,
+        source: {},
+        files: [],
+        manifestDiff: [],
+        startedAt: new Date().toISOString(),
+        finishedAt: undefined,
+    };
+    if ( pkg.assetInfo !== undefined ) {
+        record.source = {
+            owner: ghapi.details.owner,
+            repo: ghapi.details.repo,
+            tag: ghapi.details.tag,
+            assetId: pkg.assetInfo.id,
+            assetName: pkg.assetInfo.name,
+        };
+    } else {
+        record.source = {
+            local: pkg.description.map(a => a.trim()),
+        };
+    }
+    await addFile(record, 'asset', pkg.path, pkg.name);
+    record.manifestBefore = await utils.getManifestFromPackage(pkg.path);
+    return record;
+}
+
+export async function addFile(record, role, filePath, name = path.basename(filePath)) {
+    // In dry-run mode, the signed package may legitimately not exist
+    const hashes = await hashFile(filePath).catch(reason => {
+        if ( utils.settings.dryRun ) { return; }
+        throw reason;
+    });
+    if ( hashes === undefined ) { return; }
+    record.files.push({ role, name, ...hashes });
+}
+
+// Record the package as uploaded, along with what changed in its manifest.
+
+export async function addUploadedPackage(record, filePath) {
+    const manifestAfter = await utils.getManifestFromPackage(filePath);
+    record.manifestDiff = diffManifests(record.manifestBefore, manifestAfter);
+    record.version = manifestAfter?.version;
+    const asset = record.files.find(a => a.role === 'asset');
+    const hashes = await hashFile(filePath);
+    if ( hashes.sha256 === asset?.sha256 ) { return; }
+    record.files.push({ role: 'package', name: asset.name, ...hashes });
+}
+
+/******************************************************************************/
+
+// Checksums of the files having one of `roles`, by default the files attached
+// to the release.
+
+export function checksumsFromRecord(record, roles = [ 'asset', 'signed' ]) {
+    return record.files
+        .filter(a => roles.includes(a.role))
+        .map(a => `${a.sha256}  ${a.name}\n`)
+        .join('');
+}
+
+// Write the checksums and provenance record to `dir`, if provided, and attach
+// them to the GitHub release when publishing from one.
+
+export async function publishProvenance(record, dir = '') {
+    record.finishedAt = new Date().toISOString();
+    const json = { ...record };
+    delete json.manifestBefore;
+    const files = [
+        [ `${record.store}.SHA256SUMS`, checksumsFromRecord(record), 'text/plain' ],
+        [ `${record.store}.provenance.json`, JSON.stringify(json, null, 2), 'application/json' ],
+    ];
+    const uploaded = checksumsFromRecord(record, [ 'package' ]);
+    if ( uploaded !== '' ) {
+        files.splice(1, 0, [ `${record.store}.uploaded.SHA256SUMS`, uploaded, 'text/plain' ]);
+    }
+    logger.info(`Checksums:\n${checksumsFromRecord(record).trimEnd()}`);
+    if ( uploaded !== '' ) {
+        logger.info(`Checksums of the package as uploaded:\n${uploaded.trimEnd()}`);
+    }
+    const tempDir = await utils.getTempDir();
+    for ( const [ name, text ] of files ) {
+        await fs.writeFile(path.join(tempDir, name), text);
+    }
+    if ( dir !== '' && utils.settings.dryRun === false ) {
+        await fs.mkdir(dir, { recursive: true });
+        for ( const [ name ] of files ) {
+            await fs.copyFile(path.join(tempDir, name), path.join(dir, name));
+        }
+        logger.info(`Provenance saved in ${path.resolve(dir)}`);
+    }
+    // Without a GitHub release, the files are kept only with --provenance-dir
+    if ( record.source.tag === undefined ) {
+        if ( dir === '' ) {
+            logger.info('Provenance not saved, use --provenance-dir to keep it');
+        }
+        return;
+    }
+    for ( const [ name, , mimeType ] of files ) {
+        // Replace the record of a previous run
+        const existing = await ghapi.getAssetInfo(name);
+        if ( existing?.name === name ) {
+            await ghapi.deleteAssetFromRelease(existing.url);
+        }
+        const r = await ghapi.uploadAssetToRelease(path.join(tempDir, name), mimeType);
+        if ( r === undefined ) {
+            throw new PublishError(`Failed to upload ${name} to ${ghapi.details.owner}/${ghapi.details.repo}/${ghapi.details.tag}`);
+        }
+    }
+}
@@ -0,0 +1,210 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { PartialFailureError } from './errors.js';
+import { fileURLToPath } from 'node:url';
+import { fork } from 'node:child_process';
+import readline from 'node:readline';
+
+/******************************************************************************/
+
+// Publish one release to several stores at once. Each store is published by
+// its own `publish <store>` process, since the library modules hold state
+// for a single store, i.e. the GitHub asset. The processes run in parallel:
+// - their output is prefixed with the name of the store
+// - their confirmation prompts are collected through IPC and asked once, see
+//   utils.prompt()
+// - they report their result through IPC once done, see publish-extension.js
+//
+// Options prefixed with the name of a store are passed to that store only,
+// without the prefix, i.e. `--edge-storeid=` becomes `--storeid=`. Other
+// options are passed to all stores. Configuration files are resolved by each
+// store process, so that store sections apply.
+
+export const storeNames = [ 'chromium', 'edge', 'firefox' ];
+
+const scriptPath = fileURLToPath(new URL('./publish-extension.js', import.meta.url));
+
+/******************************************************************************/
+
+const excludedOptions = new Set([
+    'stores',
+    'json',
+    'log-file',
+    'log-timestamps',
+]);
+
+function argvForStore(store, rawOptions) {
+    const argv = [ 'publish', store ];
+    for ( const { name, value } of rawOptions ) {
+        // Results of the stores are reported through IPC, and their output
+        // is logged here
+        if ( excludedOptions.has(name) ) { continue; }
+        let forwarded = name;
+        const prefix = storeNames.find(a => name.startsWith(`${a}-`));
+        if ( prefix !== undefined ) {
+            if ( prefix !== store ) { continue; }
+            forwarded = name.slice(prefix.length + 1);
+        }
+        argv.push(value === true ? `--${forwarded}` : `--${forwarded}=${value}`);
+    }
+    return argv;
+}
+
+// Returns a dictionary describing the run of a store:
+//   ready: promise fulfilled once the process asks for confirmation or exits
+//   done: promise fulfilled once the process exits
+//   prompt: the confirmation prompt, if asked
+//   result: what the process reported once done
+//   code: exit code
+
+function startStore(store, argv) {
+    const run = {
+        store,
+        startedAt: Date.now(),
+        endedAt: 0,
+        promptedAt: 0,
+        waited: 0,
+        prompt: undefined,
+        result: undefined,
+        code: undefined,
+    };
+    const child = fork(scriptPath, argv, { silent: true });
+    run.child = child;
+    for ( const [ stream, log ] of [
+        [ child.stdout, logger.info ],
+        [ child.stderr, logger.error ],
+    ] ) {
+        readline.createInterface({ input: stream }).on('line', line => {
+            log(`[${store}] ${line}`);
+        });
+    }
+    let resolveReady;
+    run.ready = new Promise(resolve => { resolveReady = resolve; });
+    child.on('message', msg => {
+        if ( msg?.prompt !== undefined ) {
+            run.prompt = msg.prompt;
+            run.promptedAt = Date.now();
+            resolveReady();
+        } else if ( msg?.result !== undefined ) {
+            run.result = msg.result;
+        }
+    });
+    run.done = new Promise(resolve => {
+        child.on('error', reason => {
+            logger.error(`[${store}] ${reason.message}`);
+        });
+        child.on('close', code => {
+            run.code = code !== null ? code : 1;
+            run.endedAt = Date.now();
+            resolveReady();
+            resolve();
+        });
+    });
+    return run;
+}
+
+/******************************************************************************/
+
+function durationFromMs(ms) {
+    const seconds = Math.round(ms / 1000);
+    if ( seconds < 60 ) { return `${seconds}s`; }
+    return `${Math.floor(seconds / 60)}m${`${seconds % 60}`.padStart(2, '0')}s`;
+}
+
+// Time spent waiting for confirmation is not accounted for.
+
+function summaryTable(runs) {
+    const rows = [
+        [ 'Store', 'Result', 'Version', 'Time' ],
+        ...runs.map(run => [
+            run.store,
+            run.result?.status || (run.code === 0 ? 'done' : 'failed'),
+            run.result?.version || '?',
+            durationFromMs(run.endedAt - run.startedAt - run.waited),
+        ]),
+    ];
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    return [
+        'Summary:',
+        ...rows.map(row =>
+            `  ${row.map((cell, i) => cell.padEnd(widths[i])).join('  ')}`.trimEnd()
+        ),
+    ].join('\n');
+}
+
+/******************************************************************************/
+
+// A failure of some of the stores does not cancel the others.
+
+export async function publishAll(options, rawOptions) {
+    const stores = options.stores.split(',').map(a => a.trim()).filter(a => a !== '');
+    const runs = stores.map(store =>
+        startStore(store, argvForStore(store, rawOptions))
+    );
+
+    // One confirmation for all the stores still running
+    await Promise.all(runs.map(a => a.ready));
+    const waiting = runs.filter(a => a.prompt !== undefined && a.code === undefined);
+    let aborted;
+    if ( waiting.length !== 0 ) {
+        const failed = runs.filter(a => waiting.includes(a) === false);
+        try {
+            await utils.prompt([
+                ...waiting.flatMap(a => a.prompt.split('\n').slice(0, -1)),
+                ...(failed.length !== 0
+                    ? [ `Not published, see errors above: ${failed.map(a => a.store).join(', ')}` ]
+                    : []
+                ),
+                `Publish to ${waiting.map(a => a.store).join(', ')}? (enter "yes"): `,
+            ].join('\n'));
+        } catch (reason) {
+            aborted = reason;
+        }
+        const now = Date.now();
+        for ( const run of waiting ) {
+            run.waited = now - run.promptedAt;
+            run.child.send({ answer: aborted === undefined ? 'yes' : 'no' });
+        }
+    }
+
+    await Promise.all(runs.map(a => a.done));
+    if ( aborted !== undefined ) { throw aborted; }
+
+    logger.info(summaryTable(runs));
+    const results = runs.map(run => run.result || {
+        store: run.store,
+        status: 'failed',
+        exitCode: run.code,
+    });
+    const failed = runs.filter(a => a.code !== 0).map(a => a.store);
+    if ( failed.length === runs.length ) {
+        throw new PartialFailureError(`Publishing failed for all stores: ${failed.join(', ')}`, failed, results);
+    }
+    if ( failed.length !== 0 ) {
+        throw new PartialFailureError(`Publishing failed for: ${failed.join(', ')}`, failed, results);
+    }
+    logger.info('Done');
+
+    return { results };
+}
@@ -19,151 +19,76 @@
     Home: https://github.com/gorhill/uBlock
 */
 
-import * as fs from 'node:fs/promises';
 import * as ghapi from './github-api.js';
+import * as logger from './logger.js';
+import * as provenance from './provenance.js';
 import * as utils from './utils.js';
-import path from 'node:path';
-import process from 'node:process';
+import {
+    describeStatus,
+    extensionNameFromCWS,
+    fetchItemStatus,
+    getCurrentVersion,
+    publishToCWS,
+    releaseStagedItem,
+    setDeployPercentage,
+} from './cws-api.js';
+import { PublishError } from './errors.js';
+import { configSummary } from './config.js';
+import { fetchPackage, sourceFromOptions } from './package-source.js';
+import { Journal, defaultStateFile } from './journal.js';
+import { checkVersionIsNewer, validatePackage } from './validate-manifest.js';
 
 /******************************************************************************/
 
-const commandLineArgs = utils.commandLineArgs;
-const storeId = commandLineArgs.storeid;
-
-/******************************************************************************/
-
-async function extensionNameFromCWS() {
-    const { data } = await utils.fetchEx(
-        `https://chromewebstore.google.com/detail/${storeId}`,
-        'text'
-    );
-    if ( data === undefined ) { return '?'; }
-    const match = /<title>([^-<]+)[^<]*?<\/title>/.exec(data);
-    if ( match === null ) { return '?'; }
-    return match[1].trim();
-
+function rolloutSummary(options) {
+    const lines = [
+        `  Publish target: ${options['publish-target']}`,
+    ];
+    if ( options['deploy-percentage'] !== undefined ) {
+        lines.push(`  Deploy percentage: ${options['deploy-percentage']}%`);
+    }
+    if ( options.staged ) {
+        lines.push('  Staged: held once approved, until released with "chromium release"');
+    }
+    return lines;
 }
 
 /******************************************************************************/
 
-async function publishToCWS(filePath) {
-    // Prepare access token
-    console.log('Generating access token...');
-    const [ cwsId, cwsSecret, cwsRefresh ] = await Promise.all([
-        utils.getSecret('cws_id'),
-        utils.getSecret('cws_secret'),
-        utils.getSecret('cws_refresh'),
-    ]);
-    const authURL = 'https://accounts.google.com/o/oauth2/token';
-    const authRequest = new Request(authURL, {
-        body: JSON.stringify({
-            client_id: cwsId,
-            client_secret: cwsSecret,
-            grant_type: 'refresh_token',
-            refresh_token: cwsRefresh,
-        }),
-        method: 'POST',
-    });
-    const {
-        response: authResponse,
-        data: responseDict,
-    } = await utils.fetchEx(authRequest, 'json');
-    if ( responseDict === undefined ) {
-        console.error(`Error: Auth failed -- server error ${authResponse.statusText}`);
-        process.exit(1);
-    }
-    if ( responseDict.access_token === undefined ) {
-        console.error('Error: Auth failed -- no access token');
-        console.error('Error: Auth failed --', JSON.stringify(responseDict, null, 2));
-        process.exit(1);
-    }
-    const cwsAuth = `Bearer ${responseDict.access_token}`;
-
-    // Read package
-    const data = await fs.readFile(filePath);
-
-    // Upload
-    console.log('Uploading package...')
-    const uploadURL = `https://www.googleapis.com/upload/chromewebstore/v1.1/items/${storeId}`;
-    const uploadRequest = new Request(uploadURL, {
-        body: data,
-        headers: {
-            'Authorization': cwsAuth,
-            'x-goog-api-version': '2',
-        },
-        method: 'PUT',
-    });
-    const {
-        response: uploadResponse,
-        data: uploadDict,
-    } = await utils.fetchEx(uploadRequest, 'json');
-    if ( uploadDict === undefined ) {
-        console.error(`Upload failed -- server error ${uploadResponse.statusText}`);
-        process.exit(1)
-    }
-    if ( uploadDict.uploadState !== 'SUCCESS' ) {
-        console.error(`Upload failed -- server error ${JSON.stringify(uploadDict)}`);
-        process.exit(1);
-    }
-    console.log('Upload succeeded.')
-
-    // Publish
-    console.log('Publishing package...')
-    const publishURL = `https://www.googleapis.com/chromewebstore/v1.1/items/${storeId}/publish`;
-    const publishRequest = new Request(publishURL, {
-        headers: {
-            'Authorization': cwsAuth,
-            'x-goog-api-version': '2',
-            'Content-Length': '0',
-        },
-        method: 'POST',
-    });
-    const {
-        response: publishResponse,
-        data: publishDict,
-    } = await utils.fetchEx(publishRequest, 'json');
-    if ( publishDict === undefined ) {
-        console.error(`Error: Chrome store publishing failed -- server error ${publishResponse.statusText}`);
-        process.exit(1);
-    }
-    if (
-        Array.isArray(publishDict.status) === false ||
-        publishDict.status.includes('OK') === false
-    ) {
-        console.error(`Publishing failed -- server error ${publishDict.status}`);
-        process.exit(1);
-    }
-    console.log('Publishing succeeded.')
+// Outcome of a publish request, for reporting.
+function statusFromState(state) {
+    if ( utils.settings.dryRun ) { return 'dry-run'; }
+    if ( state === 'PUBLISHED' || state === 'PUBLISHED_TO_TESTERS' ) {
+        return 'published';
+    }
+    return 'submitted';
 }
 
-/******************************************************************************/
+export async function publish(options) {
+    const storeId = options.storeid;
 
-async function main() {
-    const assetInfo = await ghapi.getAssetInfo();
-    if ( assetInfo === undefined ) {
-        process.exit(1);
-    }
-
-    // Fetch asset from GitHub repo
-    const packagePath = await ghapi.downloadAssetFromRelease(assetInfo);
-    console.log('Asset saved at', packagePath);
+    // Fetch package from GitHub release or local source
+    const pkg = await fetchPackage(options);
+    const packagePath = pkg.path;
+    const record = options['skip-provenance'] !== true
+        ? await provenance.startProvenance(pkg, { store: 'chromium', storeId })
+        : undefined;
 
     // Confirm the package being uploaded matches the store listing
-    const cwsName = await extensionNameFromCWS();
+    const cwsName = await extensionNameFromCWS(storeId);
     const manifestName = await utils.getExtensionNameFromPackage(packagePath);
     if ( manifestName && manifestName !== cwsName ) {
-        console.log(`Extension name mismatch between manifest and CWS:\n  "${manifest.name}" != "${cwsName}"`);
-        process.exit(1);
+        throw new PublishError(`Extension name mismatch between manifest and CWS:\n  "${manifestName}" != "${cwsName}"`);
     }
 
     const manifest = await utils.getManifestFromPackage(packagePath);
     if ( manifest === undefined ) {
-        process.exit(1);
+        throw new PublishError('Unable to find manifest file');
     }
     let updateManifest = false;
 
     const versionName = ghapi.details.tag.replace(/^\D+/, '');
-    if ( versionName !== manifest.version ) {
+    if ( versionName !== '' && versionName !== manifest.version ) {
         manifest.version_name = versionName;
         updateManifest = true;
     }
@@ -172,30 +97,158 @@ async function main() {
         await utils.updateManifestInPackage(packagePath, manifest);
     }
 
+    if ( options['skip-validation'] !== true ) {
+        await validatePackage(packagePath, 'chromium');
+    }
+
+    const journal = await Journal.open(options['state-file'] || defaultStateFile, {
+        store: 'chromium',
+        extensionId: storeId,
+        version: manifest.version,
+        source: sourceFromOptions(options),
+        resume: options.resume === true,
+    });
+    // Refuse to upload a version the store would reject, or would not
+    // offer as an update
+    const currentVersion = options['version-check'] !== 'off'
+        ? await getCurrentVersion(storeId)
+        : undefined;
+    if ( journal.isDone('publish') === false ) {
+        checkVersionIsNewer(currentVersion, manifest.version, 'Chrome Web Store', options['version-check']);
+    }
+
     await utils.prompt([
         'Publish to Chrome store:',
-        `  GitHub owner: "${ghapi.details.owner}"`,
-        `  GitHub repo: "${ghapi.details.repo}"`,
-        `  Release tag: "${ghapi.details.tag}"`,
-        `  Asset name: "${assetInfo.name}"`,
+        ...pkg.description,
         `  Extension names: "${manifestName}" / "${cwsName}"`,
         `  Extension id: ${storeId}`,
-        `  Extension version: ${manifest.version}`,
+        `  Extension version: ${currentVersion || '?'} → ${manifest.version}`,
         `  Extension version name: ${manifest.version_name || '[empty]'}`,
+        ...rolloutSummary(options),
+        ...configSummary(options),
         `Publish? (enter "yes"): `,
     ].join('\n'));
 
-    // Upload to Chrome Web Store
-    await publishToCWS(packagePath);
+    if ( record !== undefined ) {
+        await provenance.addUploadedPackage(record, packagePath);
+    }
+
+    // Upload to Chrome Web Store, a resumed run is done with it once the
+    // store holds the version
+    const state = await journal.run('publish', async ( ) => {
+        return publishToCWS(packagePath, {
+            storeId,
+            publisherId: options.publisherid,
+            deployPercentage: options['deploy-percentage'],
+            publishTarget: options['publish-target'],
+            staged: options.staged === true,
+        });
+    }, async ( ) =>
+        await getCurrentVersion(storeId) === manifest.version
+    );
+
+    if ( record !== undefined ) {
+        await journal.run('provenance', ( ) =>
+            provenance.publishProvenance(record, options['provenance-dir'])
+        );
+    }
+
+    await journal.finish();
 
-    console.log('Done');
+    logger.info('Done');
+
+    return {
+        store: 'chromium',
+        storeId,
+        version: manifest.version,
+        status: statusFromState(state),
+        storeStatus: state,
+        urls: {
+            store: `https://chromewebstore.google.com/detail/${storeId}`,
+            release: pkg.assetInfo !== undefined ? ghapi.releaseURL() : undefined,
+        },
+    };
+}
+
+/******************************************************************************/
+
+export async function rollout(options) {
+    const storeId = options.storeid;
+    const deployPercentage = options['deploy-percentage'];
+    const cwsName = await extensionNameFromCWS(storeId);
+    await utils.prompt([
+        'Change rollout on Chrome store:',
+        `  Extension name: "${cwsName}"`,
+        `  Extension id: ${storeId}`,
+        `  Deploy percentage: ${deployPercentage}%`,
+        ...configSummary(options),
+        `Proceed? (enter "yes"): `,
+    ].join('\n'));
+    await setDeployPercentage({
+        storeId,
+        publisherId: options.publisherid,
+        deployPercentage,
+    });
+    logger.info('Done');
+}
+
+export async function release(options) {
+    const storeId = options.storeid;
+    const deployPercentage = options['deploy-percentage'];
+    const cwsName = await extensionNameFromCWS(storeId);
+    await utils.prompt([
+        'Release staged item on Chrome store:',
+        `  Extension name: "${cwsName}"`,
+        `  Extension id: ${storeId}`,
+        `  Deploy percentage: ${deployPercentage !== undefined ? `${deployPercentage}%` : '[unchanged]'}`,
+        ...configSummary(options),
+        `Proceed? (enter "yes"): `,
+    ].join('\n'));
+    await releaseStagedItem({
+        storeId,
+        publisherId: options.publisherid,
+        deployPercentage,
+    });
+    logger.info('Done');
 }
 
-main().then(result => {
-    utils.cleanDo();
-    if ( result !== undefined ) {
-        console.log(result);
-        process.exit(1);
+/******************************************************************************/
+
+function revisionStatusLines(label, revision) {
+    if ( revision === undefined ) {
+        return [ `  ${label}: [none]` ];
+    }
+    const lines = [
+        `  ${label}: ${revision.state} -- ${describeStatus(revision.state)}`,
+    ];
+    for ( const channel of revision.distributionChannels || [] ) {
+        const percentage = channel.deployPercentage !== undefined
+            ? `, deployed to ${channel.deployPercentage}%`
+            : '';
+        lines.push(`    Version ${channel.crxVersion}${percentage}`);
     }
-    process.exit(0);
-});
+    return lines;
+}
+
+export async function status(options) {
+    const storeId = options.storeid;
+    const itemStatus = await fetchItemStatus({
+        storeId,
+        publisherId: options.publisherid,
+    });
+    const lines = [
+        `Chrome store item ${storeId}:`,
+        ...revisionStatusLines('Published', itemStatus.publishedItemRevisionStatus),
+        ...revisionStatusLines('Submitted', itemStatus.submittedItemRevisionStatus),
+    ];
+    if ( itemStatus.lastAsyncUploadState !== undefined ) {
+        lines.push(`  Last upload: ${itemStatus.lastAsyncUploadState} -- ${describeStatus(itemStatus.lastAsyncUploadState)}`);
+    }
+    if ( itemStatus.takenDown ) {
+        lines.push('  Item has been taken down');
+    }
+    if ( itemStatus.warned ) {
+        lines.push('  Item has received a policy warning');
+    }
+    logger.info(lines.join('\n'));
+}
@@ -19,154 +19,49 @@
     Home: https://github.com/gorhill/uBlock
 */
 
-import * as fs from 'node:fs/promises';
 import * as ghapi from './github-api.js';
+import * as logger from './logger.js';
+import * as provenance from './provenance.js';
 import * as utils from './utils.js';
-import process from 'node:process';
+import {
+    extensionNameFromEdgeStore,
+    getCurrentVersion,
+    publishToEdgeStore,
+} from './edge-api.js';
+import { PublishError } from './errors.js';
+import { configSummary } from './config.js';
+import { fetchPackage, sourceFromOptions } from './package-source.js';
+import { Journal, defaultStateFile } from './journal.js';
+import { getReleaseNotes, notesSummary, renderNotes } from './release-notes.js';
+import { checkVersionIsNewer, validatePackage } from './validate-manifest.js';
 
 /******************************************************************************/
 
-const commandLineArgs = utils.commandLineArgs;
-const storeId = commandLineArgs.storeid;
-const productId = commandLineArgs.productid;
+export async function publish(options) {
+    const storeId = options.storeid;
+    const productId = options.productid;
 
-/******************************************************************************/
-
-async function extensionNameFromEdgeStore() {
-    const { data } = await utils.fetchEx(
-        `https://microsoftedge.microsoft.com/addons/detail/${storeId}`,
-        'text'
-    );
-    if ( data === undefined ) { return '?'; }
-    const match = /<title>([^-<]+)[^<]*?<\/title>/.exec(data);
-    if ( match === null ) { return '?'; }
-    return match[1].trim();
-}
-
-/******************************************************************************/
-
-async function publishToEdgeStore(filePath) {
-    const [ edgeApiKey, edgeClientId ] = await Promise.all([
-        utils.getSecret('edge_apikey'),
-        utils.getSecret('edge_clientid'),
-    ]);
-    const uploadURL = `https://api.addons.microsoftedge.microsoft.com/v1/products/${productId}/submissions/draft/package`;
-
-    // Read package
-    const data = await fs.readFile(filePath);
-
-    // Upload
-    console.log(`Uploading package to ${uploadURL}`);
-    const uploadRequest = new Request(uploadURL, {
-        body: data,
-        headers: {
-            'Authorization': `ApiKey ${edgeApiKey}`,
-            'X-ClientID': edgeClientId,
-            'Content-Type': 'application/zip'
-        },
-        method: 'POST',
-    });
-    const { response: uploadResponse } = await utils.fetchEx(uploadRequest);
-    if ( uploadResponse.status !== 202 ) {
-        console.log(`Upload failed -- server error ${uploadResponse.status}`);
-        process.exit(1);
-    }
-    const operationId = uploadResponse.headers.get('Location');
-    if ( operationId === undefined ) {
-        console.log(`Upload failed -- missing Location header`);
-        process.exit(1);
-    }
-    console.log(`Upload succeeded`);
-
-    // Check upload status
-    console.log('Checking upload status...');
-    const interval = 60;                // check every 60 seconds
-    let countdown = 15 * 60 / interval; // for at most 15 minutes
-    for (;;) {
-        await utils.sleep(interval);
-        countdown -= 1
-        if ( countdown <= 0 ) {
-            console.log('Error: Microsoft store timed out')
-            process.exit(1);
-        }
-        const uploadStatusRequest = new Request(`${uploadURL}/operations/${operationId}`, {
-            headers: {
-                'Authorization': `ApiKey ${edgeApiKey}`,
-                'X-ClientID': edgeClientId,
-            },
-        });
-        const {
-            response: uploadStatusResponse,
-            data: uploadStatusDict,
-        } = await utils.fetchEx(uploadStatusRequest, 'json');
-        if ( uploadStatusResponse.status !== 200 ) {
-            console.log(`Upload status check failed -- server error ${uploadStatusResponse.status}`);
-            process.exit(1);
-        }
-        const { status } = uploadStatusDict;
-        if ( status === undefined || status === 'Failed' ) {
-            console.log(`Upload status check failed -- server error ${status}`);
-            process.exit(1);
-        }
-        if ( status === 'InProgress' ) { continue }
-        console.log('Package ready to be published.')
-        break;
-    }
-
-    // Publish
-    // https://learn.microsoft.com/en-us/microsoft-edge/extensions-chromium/update/api/addons-api-reference?tabs=v1-1#publish-the-product-draft-submission
-    console.log('Publish package...')
-    const publishURL = `https://api.addons.microsoftedge.microsoft.com/v1/products/${productId}/submissions`;
-    const publishNotes = {
-        'Notes': commandLineArgs.notes || 'Routine update',
-    }
-    const publishRequest = new Request(publishURL, {
-        body: JSON.stringify(publishNotes),
-        headers: {
-            'Authorization': `ApiKey ${edgeApiKey}`,
-            'X-ClientID': edgeClientId,
-        },
-        method: 'POST',
-    });
-    const { response: publishResponse } = await utils.fetchEx(publishRequest);
-    if ( publishResponse.status !== 202 ) {
-        console.log(`Publish failed -- server error ${publishResponse.status}`);
-        process.exit(1);
-    }
-    if ( publishResponse.headers.get('Location') === undefined ) {
-        console.log(`Publish failed -- missing Location header`);
-        process.exit(1);
-    }
-    console.log('Publish succeeded.')
-}
-
-/******************************************************************************/
-
-async function main() {
-    const assetInfo = await ghapi.getAssetInfo();
-    if ( assetInfo === undefined ) {
-        process.exit(1);
-    }
-
-    // Fetch asset from GitHub repo
-    const packagePath = await ghapi.downloadAssetFromRelease(assetInfo);
-    console.log('Asset saved at', packagePath);
+    // Fetch package from GitHub release or local source
+    const pkg = await fetchPackage(options);
+    const packagePath = pkg.path;
+    const record = options['skip-provenance'] !== true
+        ? await provenance.startProvenance(pkg, { store: 'edge', storeId })
+        : undefined;
 
     // Confirm the package being uploaded matches the store listing
-    const edgeStoreName = await extensionNameFromEdgeStore();
+    const edgeStoreName = await extensionNameFromEdgeStore(storeId);
     const manifestName = await utils.getExtensionNameFromPackage(packagePath);
     if ( manifestName && manifestName !== edgeStoreName ) {
-        console.log(`Extension name mismatch between manifest and Edge Store:\n  "${manifestName}" != "${edgeStoreName}"`);
-        process.exit(1);
+        throw new PublishError(`Extension name mismatch between manifest and Edge Store:\n  "${manifestName}" != "${edgeStoreName}"`);
     }
 
     const manifest = await utils.getManifestFromPackage(packagePath);
     if ( manifest === undefined ) {
-        process.exit(1);
+        throw new PublishError('Unable to find manifest file');
     }
     let updateManifest = false;
 
-    if ( commandLineArgs.datebasedmajor !== undefined ) {
+    if ( options.datebasedmajor ) {
         const now = new Date();
         const year = now.getUTCFullYear();
         const month = now.getUTCMonth() + 1;
@@ -177,7 +72,7 @@ async function main() {
     }
 
     const versionName = ghapi.details.tag.replace(/^\D+/, '');
-    if ( versionName !== manifest.version ) {
+    if ( versionName !== '' && versionName !== manifest.version ) {
         manifest.version_name = versionName;
         updateManifest = true;
     }
@@ -186,31 +81,80 @@ async function main() {
         await utils.updateManifestInPackage(packagePath, manifest);
     }
 
+    if ( options['skip-validation'] !== true ) {
+        await validatePackage(packagePath, 'edge');
+    }
+
+    const journal = await Journal.open(options['state-file'] || defaultStateFile, {
+        store: 'edge',
+        extensionId: storeId,
+        version: manifest.version,
+        source: sourceFromOptions(options),
+        resume: options.resume === true,
+    });
+    // Refuse to upload a version the store would reject, or would not
+    // offer as an update
+    const currentVersion = options['version-check'] !== 'off'
+        ? await getCurrentVersion(storeId)
+        : undefined;
+    if ( journal.isDone('publish') === false ) {
+        checkVersionIsNewer(currentVersion, manifest.version, 'Edge Add-ons', options['version-check']);
+    }
+
+    // Notes for certification: reviewer notes followed by release notes
+    const releaseNotes = await getReleaseNotes(options, manifest);
+    const notes = renderNotes(
+        [ options.notes, releaseNotes ].filter(a => Boolean(a)).join('\n\n') || undefined,
+        'edge'
+    );
+
     await utils.prompt([
         'Publish to Edge store:',
-        `  GitHub owner: "${ghapi.details.owner}"`,
-        `  GitHub repo: "${ghapi.details.repo}"`,
-        `  Release tag: "${ghapi.details.tag}"`,
-        `  Asset name: "${assetInfo.name}"`,
+        ...pkg.description,
         `  Extension names: "${manifestName}" / "${edgeStoreName}"`,
         `  Extension id: ${storeId}`,
-        `  Extension version: ${manifest.version}`,
+        `  Extension version: ${currentVersion || '?'} → ${manifest.version}`,
         `  Extension version name: ${manifest.version_name || '[empty]'}`,
         `  Product id: ${productId}`,
+        ...notesSummary('Notes for certification', notes),
+        ...configSummary(options),
         `Publish? (enter "yes"): `,
     ].join('\n'));
 
-    // Upload to Edge Store
-    await publishToEdgeStore(packagePath);
+    if ( record !== undefined ) {
+        await provenance.addUploadedPackage(record, packagePath);
+    }
 
-    console.log('Done');
-}
+    // Upload to Edge Store. A submission pending certification can't be
+    // looked up, so a resumed run relies on the state file.
+    await journal.run('publish', async ( ) => {
+        await publishToEdgeStore(packagePath, {
+            productId,
+            notes,
+            wait: options['no-wait'] !== true,
+        });
+    });
 
-main().then(result => {
-    utils.cleanDo();
-    if ( result !== undefined ) {
-        console.log(result);
-        process.exit(1);
+    if ( record !== undefined ) {
+        await journal.run('provenance', ( ) =>
+            provenance.publishProvenance(record, options['provenance-dir'])
+        );
     }
-    process.exit(0);
-});
+
+    await journal.finish();
+
+    logger.info('Done');
+
+    return {
+        store: 'edge',
+        storeId,
+        version: manifest.version,
+        status: utils.settings.dryRun
+            ? 'dry-run'
+            : options['no-wait'] === true ? 'submitted' : 'published',
+        urls: {
+            store: `https://microsoftedge.microsoft.com/addons/detail/${storeId}`,
+            release: pkg.assetInfo !== undefined ? ghapi.releaseURL() : undefined,
+        },
+    };
+}
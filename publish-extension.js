@@ -0,0 +1,879 @@
+#!/usr/bin/env node
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as chromium from './publish-chromium.js';
+import * as cli from './commandline.js';
+import * as config from './config.js';
+import * as edge from './publish-edge.js';
+import * as everyStore from './publish-all.js';
+import * as fs from 'node:fs/promises';
+import * as firefox from './publish-firefox.js';
+import * as firefoxUpload from './upload-firefox.js';
+import * as ghapi from './github-api.js';
+import * as journal from './journal.js';
+import * as logger from './logger.js';
+import * as packageSource from './package-source.js';
+import * as secrets from './secrets.js';
+import * as sourceArchive from './source-archive.js';
+import * as updatesManifest from './updates-manifest.js';
+import * as utils from './utils.js';
+import {
+    AbortedError,
+    AuthError,
+    PartialFailureError,
+    PublishError,
+    StoreError,
+    ValidationError,
+} from './errors.js';
+import process from 'node:process';
+
+/******************************************************************************/
+
+const githubOptions = {
+    ghowner: {
+        type: 'string',
+        required: true,
+        description: 'GitHub owner of the repo hosting the release',
+    },
+    ghrepo: {
+        type: 'string',
+        required: true,
+        description: 'GitHub repo hosting the release',
+    },
+    ghtag: {
+        type: 'string',
+        required: true,
+        description: 'Tag of the GitHub release, or "latest"',
+    },
+    ghasset: {
+        type: 'string',
+        required: true,
+        description: 'Name of the release asset to publish: exact name, glob, or /regex/',
+    },
+    ghprerelease: {
+        type: 'boolean',
+        description: 'With --ghtag=latest, also consider prereleases',
+    },
+};
+
+const commonOptions = {
+    config: {
+        type: 'string',
+        description: 'Path to configuration file (default: ./publish.config.mjs or ./publish.config.json)',
+    },
+    profile: {
+        type: 'string',
+        description: 'Name of the configuration profile to use',
+    },
+    'dry-run': {
+        type: 'boolean',
+        description: 'Run all steps and checks, but only output the requests which would modify a store or the release',
+    },
+    secrets: {
+        type: 'string',
+        default: 'env,keyring',
+        description: 'Ordered list of secret backends: env, keyring, pass, vault, command',
+    },
+    'secret-env-prefix': {
+        type: 'string',
+        description: 'Prefix of environment variables holding secrets (default: PUBLISH_EXTENSION_)',
+    },
+    'secret-pass-prefix': {
+        type: 'string',
+        description: 'Prefix of pass entries holding secrets (default: publish-extension/)',
+    },
+    'secret-vault': {
+        type: 'string',
+        description: 'Path to encrypted JSON vault (age-encrypted if ending with .age)',
+    },
+    'secret-age-identity': {
+        type: 'string',
+        description: 'Path to age identity file used to decrypt the vault',
+    },
+    'secret-command': {
+        type: 'string',
+        description: 'Command outputting a secret, run without a shell, {name} is replaced with the secret name',
+    },
+    retries: {
+        type: 'integer',
+        default: 3,
+        description: 'Maximum number of retries for failed network requests which can be safely retried',
+    },
+    timeout: {
+        type: 'integer',
+        default: 300,
+        description: 'Timeout in seconds of a single network request',
+    },
+    verbose: {
+        type: 'boolean',
+        description: 'Same as --log-level=debug: output shell commands and HTTP requests as they are executed',
+    },
+    'log-level': {
+        type: 'string',
+        default: 'info',
+        choices: logger.levels,
+        description: 'Least important level of messages to output',
+    },
+    'log-file': {
+        type: 'string',
+        description: 'Path to a file to which all messages are appended, with timestamps, whatever the log level',
+    },
+    'log-timestamps': {
+        type: 'boolean',
+        description: 'Prefix output messages with timestamps',
+    },
+    yes: {
+        type: 'boolean',
+        description: 'Proceed without asking for confirmation, required when standard input is not a terminal',
+    },
+    json: {
+        type: 'boolean',
+        description: 'Output a JSON result object on stdout once done, other output goes to stderr',
+    },
+    help: {
+        type: 'boolean',
+        description: 'Show help',
+    },
+};
+
+const amoOptions = {
+    storeid: {
+        type: 'string',
+        required: true,
+        description: 'AMO extension id',
+    },
+    channel: {
+        type: 'string',
+        required: true,
+        choices: [ 'listed', 'unlisted' ],
+        description: 'AMO distribution channel',
+    },
+    updatepath: {
+        type: 'string',
+        description: 'Path to the self-hosted updates.json file to patch and commit, created if missing (path in the repo unless --update-commit=local)',
+    },
+    'update-commit': {
+        type: 'string',
+        default: 'local',
+        choices: [ 'local', 'branch', 'pr' ],
+        description: 'How to deliver the updates.json change: commit and push from the current checkout, commit to --update-branch through the GitHub API, or open a pull request against --update-branch',
+    },
+    'update-url': {
+        type: 'string',
+        default: updatesManifest.defaultUpdateURLTemplate,
+        description: 'Template of the update_url set in self-hosted packages, {owner}, {repo}, {branch}, {path} and {tag} are replaced with their values',
+    },
+    'update-branch': {
+        type: 'string',
+        description: 'Branch holding the updates.json file (default: default branch of the repo, or branch of the current checkout with --update-commit=local)',
+    },
+    'update-keep': {
+        type: 'integer',
+        default: 1,
+        description: 'Number of entries to keep in the updates.json file, 0 to keep all',
+    },
+    'update-info-url': {
+        type: 'string',
+        description: 'URL of the release notes for the updates.json file, {version} and {tag} are replaced with their values',
+    },
+};
+
+const sourceArchiveOptions = {
+    source: {
+        type: 'string',
+        description: 'Path to a source code archive to submit to AMO reviewers',
+    },
+    'source-asset': {
+        type: 'string',
+        description: 'Name of the release asset to submit as source code archive',
+    },
+    'source-git': {
+        type: 'boolean',
+        description: 'Submit a git archive of the release tag as source code archive',
+    },
+};
+
+const notesOptions = {
+    'notes-file': {
+        type: 'string',
+        description: 'Path to a Markdown file holding the release notes (default: body of the GitHub release)',
+    },
+    'notes-template': {
+        type: 'string',
+        description: 'Release notes template, {version}, {tag}, {owner} and {repo} are replaced with their values',
+    },
+};
+
+const sourceOptions = {
+    ghowner: {
+        type: 'string',
+        description: 'GitHub owner of the repo hosting the release (required unless --package or --srcdir)',
+    },
+    ghrepo: {
+        type: 'string',
+        description: 'GitHub repo hosting the release (required unless --package or --srcdir)',
+    },
+    ghtag: {
+        type: 'string',
+        description: 'Tag of the GitHub release, or "latest" (required unless --package or --srcdir)',
+    },
+    ghasset: {
+        type: 'string',
+        description: 'Name of the release asset to publish: exact name, glob, or /regex/ (required unless --package or --srcdir)',
+    },
+    ghprerelease: githubOptions.ghprerelease,
+    package: {
+        type: 'string',
+        description: 'Path to a local package to publish instead of a release asset',
+    },
+    srcdir: {
+        type: 'string',
+        description: 'Path to a local directory to package and publish instead of a release asset',
+    },
+    include: {
+        type: 'string',
+        description: 'With --srcdir, comma-separated globs of files to include (default: all)',
+    },
+    exclude: {
+        type: 'string',
+        default: packageSource.defaultExcludes,
+        description: 'With --srcdir, comma-separated globs of files or directories to exclude',
+    },
+    'skip-validation': {
+        type: 'boolean',
+        description: 'Do not validate the manifest before uploading',
+    },
+    'skip-provenance': {
+        type: 'boolean',
+        description: 'Do not compute checksums and attach a provenance record to the release',
+    },
+    'provenance-dir': {
+        type: 'string',
+        description: 'Directory where to also save the checksums and provenance record, the only place they are kept when not publishing from a GitHub release',
+    },
+    'version-check': {
+        type: 'string',
+        default: 'strict',
+        choices: [ 'strict', 'warn', 'off' ],
+        description: 'What to do when the package version is not greater than the version on the store',
+    },
+};
+
+// Publishing pipelines record their steps in a state file, see journal.js
+const resumeOptions = {
+    resume: {
+        type: 'boolean',
+        description: 'Resume an interrupted run, skipping the steps it completed',
+    },
+    'state-file': {
+        type: 'string',
+        default: journal.defaultStateFile,
+        description: 'Where the steps of publishing runs are recorded, along with a copy of the package of unfinished runs',
+    },
+};
+
+const cwsOptions = {
+    storeid: {
+        type: 'string',
+        required: true,
+        description: 'Chrome Web Store extension id',
+    },
+    publisherid: {
+        type: 'string',
+        required: true,
+        description: 'Chrome Web Store publisher id',
+    },
+};
+
+function checkDeployPercentage(options) {
+    const percentage = options['deploy-percentage'];
+    if ( percentage === undefined ) { return; }
+    if ( percentage >= 0 && percentage <= 100 ) { return; }
+    throw new cli.CommandLineError(`Option --deploy-percentage must be between 0 and 100, got ${percentage}`);
+}
+
+function checkCWSPublishOptions(options) {
+    packageSource.checkSourceOptions(options);
+    checkDeployPercentage(options);
+    if ( options['publish-target'] !== 'trustedTesters' ) { return; }
+    if ( options.staged || options['deploy-percentage'] !== undefined ) {
+        throw new cli.CommandLineError('Options --staged and --deploy-percentage do not apply to --publish-target=trustedTesters');
+    }
+}
+
+/******************************************************************************/
+
+async function status() {
+    const releaseInfo = await ghapi.getReleaseInfo();
+    if ( releaseInfo === undefined ) {
+        throw new PublishError(`Release ${ghapi.details.tag} not found`);
+    }
+    const flags = [];
+    if ( releaseInfo.draft ) { flags.push('draft'); }
+    if ( releaseInfo.prerelease ) { flags.push('prerelease'); }
+    logger.info([
+        `Release: ${releaseInfo.name || releaseInfo.tag_name}${flags.length !== 0 ? ` (${flags.join(', ')})` : ''}`,
+        `  Tag: ${releaseInfo.tag_name}`,
+        `  Published: ${releaseInfo.published_at || '[not published]'}`,
+        `  URL: ${releaseInfo.html_url}`,
+        `  Assets:`,
+        ...(releaseInfo.assets || []).map(asset =>
+            `    ${asset.name} -- ${asset.size} bytes, ${asset.download_count} downloads`
+        ),
+    ].join('\n'));
+}
+
+async function encryptVault(options) {
+    const text = await fs.readFile(options.input, { encoding: 'utf8' });
+    const vault = secrets.encryptVault(JSON.parse(text));
+    await fs.writeFile(options.output, JSON.stringify(vault, null, 2), { mode: 0o600 });
+    logger.info(`Vault saved at ${options.output}`);
+}
+
+/******************************************************************************/
+
+const commands = [
+    {
+        name: 'publish chromium',
+        store: 'chromium',
+        description: 'Publish a release asset to the Chrome Web Store',
+        options: {
+            ...sourceOptions,
+            ...resumeOptions,
+            ...cwsOptions,
+            'deploy-percentage': {
+                type: 'integer',
+                description: 'Percentage of users who get the update (staged rollout)',
+            },
+            'publish-target': {
+                type: 'string',
+                default: 'default',
+                choices: [ 'default', 'trustedTesters' ],
+                description: 'Publish to everyone or to trusted testers only',
+            },
+            staged: {
+                type: 'boolean',
+                description: 'Hold the item once approved, until released with "chromium release"',
+            },
+        },
+        check: checkCWSPublishOptions,
+        run: options => chromium.publish(options),
+    },
+    {
+        name: 'publish all',
+        description: 'Publish a release to several stores in parallel, with one confirmation',
+        // Options are resolved by the publishing command of each store
+        delegates: true,
+        options: {
+            ghowner: sourceOptions.ghowner,
+            ghrepo: sourceOptions.ghrepo,
+            ghtag: { ...githubOptions.ghtag, required: true },
+            ghprerelease: githubOptions.ghprerelease,
+            stores: {
+                type: 'string',
+                default: everyStore.storeNames.join(','),
+                description: 'Comma-separated list of stores to publish to',
+            },
+            ...resumeOptions,
+            // Options of each store are added below
+        },
+        check: options => {
+            const unknown = options.stores.split(',').map(a => a.trim()).filter(a =>
+                a !== '' && everyStore.storeNames.includes(a) === false
+            );
+            if ( unknown.length === 0 ) { return; }
+            throw new cli.CommandLineError(`Unknown store(s) in --stores: ${unknown.join(', ')}`);
+        },
+        run: (options, rawOptions) => everyStore.publishAll(options, rawOptions),
+    },
+    {
+        name: 'chromium rollout',
+        store: 'chromium',
+        description: 'Raise the percentage of users who get the published version',
+        options: {
+            ...cwsOptions,
+            'deploy-percentage': {
+                type: 'integer',
+                required: true,
+                description: 'New percentage of users who get the update, can only be raised',
+            },
+        },
+        check: checkDeployPercentage,
+        run: options => chromium.rollout(options),
+    },
+    {
+        name: 'chromium release',
+        store: 'chromium',
+        description: 'Release an approved item submitted with --staged',
+        options: {
+            ...cwsOptions,
+            'deploy-percentage': {
+                type: 'integer',
+                description: 'Percentage of users who get the update (staged rollout)',
+            },
+        },
+        check: checkDeployPercentage,
+        run: options => chromium.release(options),
+    },
+    {
+        name: 'chromium status',
+        store: 'chromium',
+        description: 'Show the published and submitted state of a Chrome Web Store item',
+        prompts: false,
+        options: {
+            ...cwsOptions,
+        },
+        run: options => chromium.status(options),
+    },
+    {
+        name: 'publish edge',
+        store: 'edge',
+        description: 'Publish a release asset to the Microsoft Edge Add-ons store',
+        options: {
+            ...sourceOptions,
+            ...resumeOptions,
+            'version-check': {
+                ...sourceOptions['version-check'],
+                description: 'What to do when the package version is not greater than the version on the public listing of --storeid, which the Edge Add-ons API does not expose',
+            },
+            storeid: {
+                type: 'string',
+                required: true,
+                description: 'Edge Add-ons extension id',
+            },
+            productid: {
+                type: 'string',
+                required: true,
+                description: 'Edge Partner Center product id',
+            },
+            ...notesOptions,
+            notes: {
+                type: 'string',
+                default: 'Routine update',
+                description: 'Notes for certification, followed by the release notes',
+            },
+            datebasedmajor: {
+                type: 'boolean',
+                description: 'Replace major version with a date-based one',
+            },
+            'no-wait': {
+                type: 'boolean',
+                description: 'Exit once the submission is accepted, without waiting for its outcome',
+            },
+        },
+        check: packageSource.checkSourceOptions,
+        run: options => edge.publish(options),
+    },
+    {
+        name: 'publish firefox',
+        store: 'firefox',
+        description: 'Sign a release asset through AMO, and publish it to AMO or the release',
+        options: {
+            ...sourceOptions,
+            ...resumeOptions,
+            ...amoOptions,
+            ...sourceArchiveOptions,
+            ...notesOptions,
+            'notes-locale': {
+                type: 'string',
+                default: 'en-US',
+                description: 'Locale of the release notes',
+            },
+            notes: {
+                type: 'string',
+                description: 'Notes for AMO reviewers, not shown to users',
+            },
+        },
+        check: options => {
+            packageSource.checkSourceOptions(options);
+            sourceArchive.checkSourceArchiveOptions(options);
+        },
+        run: options => firefox.publish(options),
+    },
+    {
+        name: 'firefox source',
+        store: 'firefox',
+        description: 'Attach a source code archive to a version already submitted to AMO',
+        options: {
+            storeid: amoOptions.storeid,
+            version: {
+                type: 'string',
+                required: true,
+                description: 'Version to which the source code archive is attached',
+            },
+            ghowner: {
+                type: 'string',
+                description: 'GitHub owner of the repo hosting the release, with --source-asset',
+            },
+            ghrepo: {
+                type: 'string',
+                description: 'GitHub repo hosting the release, with --source-asset',
+            },
+            ghtag: {
+                type: 'string',
+                description: 'Tag of the GitHub release, with --source-asset or --source-git',
+            },
+            ...sourceArchiveOptions,
+        },
+        check: options => {
+            sourceArchive.checkSourceArchiveOptions(options);
+            if ( sourceArchive.hasSourceArchive(options) ) { return; }
+            throw new cli.CommandLineError('Missing source code archive: --source, --source-asset or --source-git');
+        },
+        run: options => firefox.attachSource(options),
+    },
+    {
+        name: 'firefox finalize',
+        store: 'firefox',
+        description: 'Fetch an already signed package from AMO and upload it to the release',
+        options: {
+            ...githubOptions,
+            ...amoOptions,
+        },
+        run: options => firefoxUpload.finalize(options),
+    },
+    {
+        name: 'status',
+        description: 'Show a GitHub release and its assets',
+        prompts: false,
+        options: {
+            ...githubOptions,
+            ghasset: { ...githubOptions.ghasset, required: false },
+        },
+        run: ( ) => status(),
+    },
+    {
+        name: 'vault encrypt',
+        description: 'Encrypt a JSON dictionary of secrets into a passphrase-protected vault',
+        prompts: false,
+        options: {
+            input: {
+                type: 'string',
+                required: true,
+                description: 'Path to plain JSON file mapping secret names to values',
+            },
+            output: {
+                type: 'string',
+                required: true,
+                description: 'Path to the vault file to create',
+            },
+        },
+        run: options => encryptVault(options),
+    },
+];
+
+// `publish all` accepts the options of the publishing command of each store,
+// prefixed with the name of the store, i.e. `--edge-storeid=`.
+{
+    const allCommand = commands.find(a => a.name === 'publish all');
+    for ( const store of everyStore.storeNames ) {
+        const command = commands.find(a => a.name === `publish ${store}`);
+        for ( const [ name, details ] of Object.entries(command.options) ) {
+            if ( allCommand.options[name] !== undefined ) { continue; }
+            allCommand.options[`${store}-${name}`] = {
+                type: details.type,
+                choices: details.choices,
+                description: `${store}: ${details.description}`,
+            };
+        }
+    }
+}
+
+// Options of all commands, which a configuration file may hold.
+const allOptionNames = new Set([
+    ...Object.keys(commonOptions),
+    ...commands.flatMap(a => Object.keys(a.options)),
+]);
+
+/******************************************************************************/
+
+function findCommand(positionals) {
+    const line = positionals.join(' ');
+    return commands.find(a => line === a.name);
+}
+
+function usage() {
+    const width = Math.max(...commands.map(a => a.name.length));
+    return [
+        'Usage: publish-extension <command> [options]',
+        '',
+        'Commands:',
+        ...commands.map(a => `  ${a.name.padEnd(width)}  ${a.description}`),
+        '',
+        'Run "publish-extension <command> --help" for the options of a command.',
+        '',
+        ...exitCodesHelp,
+    ].join('\n');
+}
+
+function commandUsage(command, spec) {
+    return [
+        `Usage: publish-extension ${command.name} [options]`,
+        '',
+        command.description,
+        '',
+        'Options:',
+        cli.helpFromSpec(spec),
+    ].join('\n');
+}
+
+/******************************************************************************/
+
+// Needed before the command line is parsed, since errors found while parsing
+// are reported in JSON too.
+function jsonFromRawOptions(rawOptions) {
+    const raw = rawOptions.findLast(a => a.name === 'json');
+    if ( raw === undefined ) { return false; }
+    try {
+        return cli.parseOptions([ raw ], { json: commonOptions.json }).json === true;
+    } catch {
+        return false;
+    }
+}
+
+// What is reported with `--json`, and to `publish all` when run by it.
+let jsonOutput = false;
+
+const runResult = {
+    command: undefined,
+    store: undefined,
+    storeId: undefined,
+    status: undefined,
+};
+
+async function main(argv) {
+    const { positionals, rawOptions } = cli.tokenize(argv);
+
+    // With --json, stdout is reserved for the result object
+    jsonOutput = jsonFromRawOptions(rawOptions);
+    logger.configure({ stdoutReserved: jsonOutput });
+
+    const command = findCommand(positionals);
+    if ( command === undefined ) {
+        const wantHelp = rawOptions.some(a => a.name === 'help');
+        if ( positionals.length === 0 && wantHelp ) {
+            logger.info(usage());
+            return exitCodes.success;
+        }
+        const message = positionals.length !== 0
+            ? `Unknown command "${positionals.join(' ')}"`
+            : 'Missing command';
+        logger.error(`${message}\n\n${usage()}`);
+        runResult.error = { type: 'CommandLineError', message };
+        return exitCodes.commandLine;
+    }
+    runResult.command = command.name;
+    runResult.store = command.store;
+    const spec = { ...command.options, ...commonOptions };
+
+    let options;
+    try {
+        options = cli.parseOptions(rawOptions, spec);
+        if ( options.help ) {
+            logger.info(commandUsage(command, spec));
+            return exitCodes.success;
+        }
+        if ( command.delegates !== true ) {
+            await config.resolveOptions(options, spec, command.store, allOptionNames);
+        }
+        cli.applyDefaults(options, spec);
+        logger.configure({
+            level: options.verbose ? 'debug' : options['log-level'],
+            timestamps: options['log-timestamps'] === true,
+            filePath: options['log-file'],
+        });
+        cli.checkRequiredOptions(options, spec);
+        if ( command.check !== undefined ) {
+            command.check(options);
+        }
+        // Confirmations can't be asked without a terminal
+        const mustConfirm = command.prompts !== false &&
+            options.yes !== true &&
+            options['dry-run'] !== true &&
+            process.send === undefined;
+        if ( mustConfirm && process.stdin.isTTY !== true ) {
+            throw new cli.CommandLineError('Standard input is not a terminal, use --yes to proceed without confirmation');
+        }
+        secrets.configure(options);
+    } catch (reason) {
+        if ( reason instanceof cli.CommandLineError === false ) { throw reason; }
+        logger.error(`Error: ${reason.message}\n\n${commandUsage(command, spec)}`);
+        runResult.error = errorDetails(reason);
+        return exitCodes.commandLine;
+    }
+    runResult.storeId = options.storeid;
+
+    utils.settings.dryRun = options['dry-run'] === true;
+    utils.settings.assumeYes = options.yes === true;
+    utils.settings.fetchRetries = options.retries;
+    utils.settings.fetchTimeout = options.timeout;
+    ghapi.init(options);
+
+    const result = await command.run(options, rawOptions);
+    Object.assign(runResult, result);
+    runResult.status ??= 'done';
+    return exitCodes.success;
+}
+
+/******************************************************************************/
+
+// This is the only place where errors thrown by the library modules are
+// turned into exit codes.
+
+const exitCodes = {
+    success: 0,
+    failure: 1,
+    commandLine: 2,
+    partial: 3,
+    auth: 4,
+    validation: 5,
+    timeout: 6,
+    rejected: 7,
+};
+
+// Listed in usage()
+const exitCodesHelp = [
+    'Exit codes:',
+    '  0  Success',
+    '  1  Failure, or aborted',
+    '  2  Invalid command line',
+    '  3  "publish all" failed for some of the stores only',
+    '  4  Authentication failure',
+    '  5  Validation failure',
+    '  6  Timeout, a store did not complete an operation in time',
+    '  7  Rejected by a store',
+];
+
+function exitCodeFromError(reason) {
+    if ( reason instanceof PartialFailureError ) {
+        return reason.failed.length < reason.results.length
+            ? exitCodes.partial
+            : exitCodes.failure;
+    }
+    if ( reason instanceof StoreError ) {
+        if ( reason.phase === 'auth' || reason.status === 401 ) {
+            return exitCodes.auth;
+        }
+        if ( reason.timedOut ) { return exitCodes.timeout; }
+        // GitHub hosts the release, it does not review anything
+        if ( reason.store === 'github' ) { return exitCodes.failure; }
+        // No answer from the store at all
+        if ( reason.status === undefined && reason.body === undefined ) {
+            return exitCodes.failure;
+        }
+        return exitCodes.rejected;
+    }
+    if ( reason instanceof AuthError ) {
+        return exitCodes.auth;
+    }
+    if ( reason instanceof ValidationError ) {
+        return exitCodes.validation;
+    }
+    return exitCodes.failure;
+}
+
+function errorDetails(reason) {
+    const details = {
+        type: reason?.name || 'Error',
+        message: reason?.message || `${reason}`,
+    };
+    if ( reason instanceof StoreError ) {
+        Object.assign(details, {
+            store: reason.store,
+            phase: reason.phase,
+            status: reason.status,
+            body: reason.body,
+            timedOut: reason.timedOut,
+        });
+    } else if ( reason instanceof ValidationError ) {
+        details.problems = reason.problems;
+    } else if ( reason instanceof PartialFailureError ) {
+        details.failed = reason.failed;
+    }
+    return details;
+}
+
+function reportError(reason) {
+    runResult.status = reason instanceof AbortedError ? 'aborted' : 'failed';
+    runResult.error = errorDetails(reason);
+    if ( reason instanceof PartialFailureError ) {
+        runResult.results = reason.results;
+    }
+    const code = exitCodeFromError(reason);
+    if ( reason instanceof AbortedError ) {
+        logger.info(reason.message);
+        return code;
+    }
+    if ( reason instanceof StoreError ) {
+        const lines = [
+            `Error: ${reason.store} ${reason.phase} -- ${reason.message}`,
+        ];
+        if ( reason.status !== undefined ) {
+            lines.push(`  HTTP status: ${reason.status}`);
+        }
+        if ( reason.body !== undefined && reason.body !== '' ) {
+            const body = typeof reason.body === 'string'
+                ? reason.body
+                : JSON.stringify(reason.body, null, 2);
+            lines.push(`  Response: ${body}`);
+        }
+        logger.error(lines.join('\n'));
+        return code;
+    }
+    if ( reason instanceof ValidationError ) {
+        logger.error([
+            `Error: ${reason.message}:`,
+            ...reason.problems.map(a => `  - ${a}`),
+        ].join('\n'));
+        return code;
+    }
+    const plain = reason instanceof PartialFailureError ||
+        reason instanceof PublishError ||
+        reason instanceof AuthError;
+    if ( plain ) {
+        logger.error(`Error: ${reason.message}`);
+        return code;
+    }
+    logger.error(reason);
+    return code;
+}
+
+async function reportResult(code) {
+    const result = { ...runResult, exitCode: code };
+    // Run by `publish all`
+    if ( process.send !== undefined ) {
+        await new Promise(resolve => {
+            process.send({ result }, resolve);
+        });
+    }
+    if ( jsonOutput ) {
+        process.stdout.write(`${logger.redact(JSON.stringify(result, null, 2))}\n`);
+    }
+}
+
+main(process.argv.slice(2)).catch(reason =>
+    reportError(reason)
+).then(async code => {
+    await utils.cleanDo();
+    await reportResult(code);
+    process.exit(code);
+});
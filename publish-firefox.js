@@ -19,206 +19,355 @@
     Home: https://github.com/gorhill/uBlock
 */
 
-import * as fs from 'node:fs/promises';
 import * as ghapi from './github-api.js';
+import * as logger from './logger.js';
+import * as provenance from './provenance.js';
 import * as utils from './utils.js';
+import { PublishError } from './errors.js';
+import { configSummary } from './config.js';
+import { fetchPackage, sourceFromOptions } from './package-source.js';
+import { Journal, defaultStateFile } from './journal.js';
+import { checkVersionIsNewer, validatePackage } from './validate-manifest.js';
+import {
+    checkSignature,
+    getCurrentVersion,
+    getVersion,
+    requestSignature,
+    uploadSourceCode,
+} from './amo-api.js';
+import { fetchSourceArchive } from './source-archive.js';
+import {
+    checkUpdateURL,
+    defaultUpdateURLTemplate,
+    renderUpdateURL,
+    setUpdateURL,
+    updateHashFromFile,
+} from './updates-manifest.js';
+import { getReleaseNotes, notesSummary, renderNotes } from './release-notes.js';
 import path from 'node:path';
-import process from 'node:process';
 
 /******************************************************************************/
 
-const commandLineArgs = utils.commandLineArgs;
-const amoExtensionId = commandLineArgs.storeid;
-const amoChannel = commandLineArgs.channel || '';
-const autoUpdatepath = commandLineArgs.updatepath || '';
+// Path of a local file relative to the root of the git repo holding it.
+async function repoPathFromLocalPath(localPath) {
+    const topLevel = await utils.shellExec('git rev-parse --show-toplevel', {
+        stdio: [ 'ignore', 'pipe', 'ignore' ],
+    }).catch(( ) => undefined);
+    if ( topLevel === undefined ) {
+        return localPath.replace(/^\.\//, '');
+    }
+    return path.relative(topLevel, path.resolve(localPath)).split(path.sep).join('/');
+}
 
-/******************************************************************************/
+// Branch of the current checkout, to which a local commit is pushed.
+async function localBranch() {
+    const branch = await utils.shellExec('git rev-parse --abbrev-ref HEAD', {
+        stdio: [ 'ignore', 'pipe', 'ignore' ],
+    }).catch(( ) => undefined);
+    if ( branch === undefined || branch === 'HEAD' ) {
+        throw new PublishError('Unable to find branch of current checkout, use --update-branch');
+    }
+    return branch;
+}
 
-// Stolen from:
-// https://github.com/mozilla/web-ext/blob/960d49c3d5/src/util/submit-addon.js#L90-L111
+// Branch holding the update manifest.
+export async function updateBranchFromOptions(options) {
+    if ( options['update-branch'] !== undefined ) {
+        return options['update-branch'];
+    }
+    const repoInfo = await ghapi.getRepoInfo();
+    if ( repoInfo?.default_branch === undefined ) {
+        throw new PublishError(`Unable to find default branch of ${ghapi.details.owner}/${ghapi.details.repo}, use --update-branch`);
+    }
+    return repoInfo.default_branch;
+}
 
-async function fileFromSync(filePath) {
-    // create a File blob from a file path, and ensure it to have the file path basename
-    // as the associated filename, the AMO server API will be checking it on the form-data
-    // submitted and fail with the error message:
-    // "Unsupported file type, please upload a supported file (.crx, .xpi, .zip)."
-    const fileData = await fs.readFile(filePath);
-    return new File([ fileData ], path.basename(filePath));
+// Build the gecko `update_url` of a self-hosted package, and make sure it
+// points at the update manifest which will be updated. Unless committed
+// locally, `updatepath` is already a path in the repo.
+async function updateURLFromOptions(options) {
+    let updatePath = options.updatepath || 'dist/firefox/updates.json';
+    if ( options.updatepath && options['update-commit'] === 'local' ) {
+        updatePath = await repoPathFromLocalPath(options.updatepath);
+    }
+    const template = options['update-url'];
+    let branch;
+    if ( template.includes('{branch}') ) {
+        branch = options['update-commit'] !== 'local' || options['update-branch'] !== undefined
+            ? await updateBranchFromOptions(options)
+            : await localBranch();
+    }
+    const values = {
+        owner: ghapi.details.owner,
+        repo: ghapi.details.repo,
+        branch,
+        path: updatePath,
+        tag: ghapi.details.tag,
+    };
+    const updateURL = renderUpdateURL(template, values);
+    checkUpdateURL(updateURL, values);
+    return updateURL;
 }
 
 /******************************************************************************/
 
-async function requestSignature(packagePathIn, packagePathOut, manifest) {
-    const [ amoApiKey, amoSecret ] = await Promise.all([
-        utils.getSecret('amo_api_key'),
-        utils.getSecret('amo_secret'),
-    ]);
-    const jwt = new utils.JWT(amoApiKey, amoSecret);
-
-    const signingRequestURL =`https://addons.mozilla.org/api/v4/addons/${amoExtensionId}/versions/${manifest.version}/`;
-    const formData = new FormData();
-    formData.set('channel', amoChannel);
-    formData.set('upload', await fileFromSync(packagePathIn));
-    const signingRequest = new Request(signingRequestURL, {
-        body: formData,
-        headers: {
-            Authorization: jwt.getToken(),
-        },
-        method: 'PUT',
-    });
-    console.log('Submitting package to be signed...');
-    console.log(' ', signingRequestURL);
-    const {
-        response: signingRequestResponse,
-        data: signingRequestDetails,
-    } = await utils.fetchEx(signingRequest, 'json');
-    if ( signingRequestResponse.ok !== true ) {
-        console.log(`Error: Creating new version failed -- server error ${signingRequestResponse.status}`);
-        process.exit(1);
-    }
-    console.log('Request for signing xpi package succeeded');
-
-    if ( amoChannel !== 'unlisted' ) { return; }
-
-    console.log('Waiting for AMO to process the request to sign the self-hosted xpi package...');
-    const signingCheckURL = signingRequestDetails.url;
-    const interval = 180 // check every 3 minutes
-    let countdown = 30 * 60 / interval // for at most 30 minutes
-    let downloadURL;
-    for (;;) {
-        await utils.sleep(60);
-        countdown -= 1
-        if ( countdown <= 0 ) {
-            console.log('Error: AMO signing timed out');
-            process.exit(1);
-        }
-        const signingCheckRequest = new Request(signingCheckURL, {
-            headers: {
-                Authorization: jwt.getToken(),
-            },
-        });
-        const {
-            response: signingCheckResponse,
-            data: signingCheckDetails,
-        } = await utils.fetchEx(signingCheckRequest, 'json');
-        if ( signingCheckResponse.ok !== true ) {
-            console.log(`Error: AMO signing failed -- server error ${signingCheckResponse.status}`);
-            process.exit(1);
-        }
-        if ( signingCheckDetails.processed !== true ) { continue; }
-        if ( signingCheckDetails.valid !== true ) {
-            console.log('Error: AMO validation failed')
-            process.exit(1);
-        }
-        if ( Array.isArray(signingCheckDetails.files) === false ) { continue; }
-        if ( signingCheckDetails.files.length === 0 ) { continue; }
-        if ( signingCheckDetails.files[0].signed !== true ) { continue; }
-        downloadURL = signingCheckDetails.files[0].download_url;
-        if ( Boolean(downloadURL) === false ) {
-            console.log('Error: AMO signing failed')
-            process.exit(1);
-        }
-        break;
+// Steps are recorded in the state file, so that an interrupted run can be
+// resumed with `--resume`: completed steps are checked again rather than
+// redone.
+
+export async function publish(options) {
+    const amoExtensionId = options.storeid;
+    const amoChannel = options.channel;
+    const autoUpdatepath = options.updatepath || '';
+    const stateFile = options['state-file'] || defaultStateFile;
+
+    // Fetch package from GitHub release or local source, unless kept by an
+    // interrupted run: the release asset may be gone
+    const runSource = sourceFromOptions(options);
+    const keptPackage = options.resume
+        ? await Journal.findPackage(stateFile, {
+            store: 'firefox',
+            extensionId: amoExtensionId,
+            source: runSource,
+        })
+        : undefined;
+    const pkg = keptPackage || await fetchPackage(options);
+    const packagePath = pkg.path;
+    const { assetInfo } = pkg;
+    const record = options['skip-provenance'] !== true
+        ? await provenance.startProvenance(pkg, { store: 'firefox', storeId: amoExtensionId })
+        : undefined;
+
+    const manifest = await utils.getManifestFromPackage(packagePath);
+    if ( manifest === undefined ) {
+        throw new PublishError('Unable to find manifest file');
     }
-    console.log('Self-hosted xpi package successfully signed')
 
-    console.log(`Downloading signed self-hosted xpi package from ${downloadURL}...`);
-    const downloadRequest = new Request(downloadURL, {
-        headers: {
-            Authorization: jwt.getToken(),
-        },
+    const journal = await Journal.open(stateFile, {
+        store: 'firefox',
+        extensionId: amoExtensionId,
+        version: manifest.version,
+        source: runSource,
+        resume: options.resume === true,
     });
-    const {
-        response: downloadResponse,
-        data: signedPackage,
-    } = await utils.fetchEx(downloadRequest, 'bytes');
-    if ( downloadResponse.ok !== true ) {
-        console.log(`Error: Download signed package failed -- server error ${downloadResponse.status}`);
-        process.exit(1);
-    }
-    await fs.writeFile(packagePathOut, signedPackage);
-    console.log(`Signed self-hosted xpi package downloaded at${packagePathOut}`);
-}
+    // AMO refuses a version which already exists, and Firefox won't offer
+    // an older version as an update. A resumed run may already have
+    // submitted the version.
+    const submitted = journal.isDone('submit');
+    const currentVersion = options['version-check'] !== 'off'
+        ? await getCurrentVersion(amoExtensionId)
+        : undefined;
+    if ( submitted === false ) {
+        checkVersionIsNewer(currentVersion, manifest.version, 'AMO', options['version-check']);
+    }
 
-/******************************************************************************/
+    const source = journal.isDone('source') === false
+        ? await fetchSourceArchive(options)
+        : undefined;
 
-async function main() {
-    if ( /^(un)?listed$/.test(amoChannel) === false ) { return 'Need AMO channel'; }
+    // If self-hosted, the manifest must hold auto-update information, which
+    // requires knowing where the GitHub repo is
+    const fromGithub = assetInfo !== undefined;
+    const hasGithubRepo = Boolean(ghapi.details.owner) && Boolean(ghapi.details.repo);
+    const updateURL = amoChannel === 'unlisted' && hasGithubRepo
+        ? await updateURLFromOptions(options)
+        : undefined;
 
-    const assetInfo = await ghapi.getAssetInfo('firefox');
-    if ( assetInfo === undefined ) {
-        process.exit(1);
-    }
+    const releaseNotes = renderNotes(await getReleaseNotes(options, manifest), 'amo');
+    const approvalNotes = options.notes || undefined;
 
     await utils.prompt([
         'Publish to AMO store:',
-        `  GitHub owner: "${ghapi.details.owner}"`,
-        `  GitHub repo: "${ghapi.details.repo}"`,
-        `  Release tag: "${ghapi.details.tag}"`,
-        `  Asset name: "${assetInfo.name}"`,
+        ...pkg.description,
         `  Extension id: ${amoExtensionId}`,
+        `  Extension version: ${currentVersion || '?'} → ${manifest.version}`,
         `  channel: ${amoChannel}`,
+        ...(updateURL !== undefined ? [ `  Update URL: ${updateURL}` ] : []),
+        ...(source?.description || []),
+        ...notesSummary(`Release notes (${options['notes-locale']})`, releaseNotes),
+        ...notesSummary('Notes for reviewers', approvalNotes),
+        ...(submitted ? [ '  Resuming: version already submitted' ] : []),
+        ...configSummary(options),
         `Publish? (enter "yes"): `,
     ].join('\n'));
 
-    // Fetch asset from GitHub repo
-    const packagePath = await ghapi.downloadAssetFromRelease(assetInfo);
-    console.log(`Unsigned asset saved at ${packagePath}`);
-
-    const manifest = await utils.getManifestFromPackage(packagePath);
-    if ( manifest === undefined ) {
-        console.log('Error: Unable to find manifest file');
-        process.exit(1);
+    if ( keptPackage === undefined ) {
+        await journal.keepPackage(pkg);
     }
-    // If self-hosted, modify manifest with auto-update information
-    if ( amoChannel === 'unlisted' ) {
-        manifest.browser_specific_settings.gecko.update_url = 
-        `https://raw.githubusercontent.com/${ghapi.details.owner}/${ghapi.details.repo}/master/dist/firefox/updates.json`;
+
+    if ( updateURL !== undefined ) {
+        setUpdateURL(manifest, updateURL);
         const r = await utils.updateManifestInPackage(packagePath, manifest);
         if ( r !== true ) {
-            console.log('Error: Unable to update manifest file');
-            process.exit(1);
+            throw new PublishError('Unable to update manifest file');
         }
     }
 
-    const tempDir = await utils.getTempDir();
-    const signedPackageName = assetInfo.name.replace('.xpi', '.signed.xpi');
-    const signedPackagePath = `${tempDir}/${signedPackageName}`
+    // Signed package from a local source is saved in current directory
+    const signedPackageName = pkg.name.replace(/\.(xpi|zip)$/, '.signed.xpi');
+    const signedPackagePath = fromGithub
+        ? `${await utils.getTempDir()}/${signedPackageName}`
+        : path.resolve(signedPackageName);
 
-    await requestSignature(packagePath, signedPackagePath, manifest);
+    if ( options['skip-validation'] !== true && submitted === false ) {
+        await validatePackage(packagePath, 'firefox');
+    }
 
-    // Upload to GitHub
-    if ( amoChannel === 'unlisted' ) {
-        const uploadResult = await ghapi.uploadAssetToRelease(signedPackagePath, 'application/zip');
-        if ( uploadResult === undefined ) {
-            console.log(`Failed to upload signed package to ${ghapi.details.owner}/${ghapi.details.repo}/${ghapi.details.tag}`);
-            process.exit(1);
+    if ( record !== undefined ) {
+        await provenance.addUploadedPackage(record, packagePath);
+    }
+
+    await journal.run('submit', async ( ) => {
+        await requestSignature(packagePath, signedPackagePath, manifest, {
+            amoExtensionId,
+            channel: amoChannel,
+            releaseNotes: releaseNotes !== undefined
+                ? { [options['notes-locale']]: releaseNotes }
+                : undefined,
+            approvalNotes,
+            wait: false,
+        });
+    }, async ( ) =>
+        await getVersion(amoExtensionId, manifest.version) !== undefined
+    );
+
+    // A step of its own, so that a failed upload can be retried without
+    // submitting the version again
+    if ( source !== undefined ) {
+        await journal.run('source', ( ) =>
+            uploadSourceCode(source.path, {
+                amoExtensionId,
+                version: manifest.version,
+            })
+        );
+    }
+
+    // Nothing was submitted in dry-run mode, hence nothing to wait for
+    if ( utils.settings.dryRun === false ) {
+        await journal.run('sign', async ( ) => {
+            await checkSignature(signedPackagePath, manifest, {
+                amoExtensionId,
+                channel: amoChannel,
+            });
+            if ( amoChannel !== 'unlisted' ) { return; }
+            return { updateHash: await updateHashFromFile(signedPackagePath) };
+        }, async data => {
+            if ( amoChannel !== 'unlisted' ) { return true; }
+            const updateHash = await updateHashFromFile(signedPackagePath).catch(( ) => undefined);
+            return updateHash === data?.updateHash;
+        });
+    }
+
+    if ( record !== undefined && amoChannel === 'unlisted' ) {
+        await provenance.addFile(record, 'signed', signedPackagePath, signedPackageName);
+    }
+
+    if ( amoChannel === 'unlisted' && fromGithub === false ) {
+        logger.info(`Signed package saved at ${signedPackagePath}`);
+        if ( autoUpdatepath !== '' ) {
+            logger.warn('auto-update details not brought up to date: no GitHub release');
         }
+    }
+
+    // Upload to GitHub
+    if ( amoChannel === 'unlisted' && fromGithub ) {
+        await journal.run('upload-signed', async ( ) => {
+            const uploadResult = await ghapi.uploadAssetToRelease(signedPackagePath, 'application/zip');
+            if ( uploadResult === undefined ) {
+                throw new PublishError(`Failed to upload signed package to ${ghapi.details.owner}/${ghapi.details.repo}/${ghapi.details.tag}`);
+            }
+        }, async ( ) =>
+            (await ghapi.getAssetInfo(signedPackageName))?.name === signedPackageName
+        );
 
         // Delete unsigned package from GitHub
-        await ghapi.deleteAssetFromRelease(assetInfo.url);
+        await journal.run('delete-unsigned', async ( ) => {
+            await ghapi.deleteAssetFromRelease(assetInfo.url);
+        }, async ( ) =>
+            (await ghapi.getAssetInfo(assetInfo.name))?.name !== assetInfo.name
+        );
 
         // Patch update file and commit
         if ( autoUpdatepath !== '' ) {
-            const r = await ghapi.updateFirefoxAutoUpdateFile(autoUpdatepath, {
+            const updateDetails = {
                 amoExtensionId,
                 manifest,
                 signedPackageName,
-            });
-            if ( Boolean(r) === false ) {
-                console.log('Auto-update details not brought up to date');
-            }
+                signedPackagePath,
+                keep: options['update-keep'],
+                updateInfoURL: options['update-info-url'],
+                commitMode: options['update-commit'],
+                branch: options['update-commit'] !== 'local'
+                    ? await updateBranchFromOptions(options)
+                    : undefined,
+            };
+            await journal.run('update-file', async ( ) => {
+                const r = await ghapi.updateFirefoxAutoUpdateFile(autoUpdatepath, updateDetails);
+                if ( Boolean(r) === false ) {
+                    logger.warn('auto-update details not brought up to date');
+                }
+            }, ( ) =>
+                ghapi.hasFirefoxAutoUpdateEntry(autoUpdatepath, updateDetails)
+            );
         }
     }
 
-    console.log('Done');
+    if ( record !== undefined ) {
+        await journal.run('provenance', ( ) =>
+            provenance.publishProvenance(record, options['provenance-dir'])
+        );
+    }
+
+    await journal.finish();
+
+    logger.info('Done');
+
+    let status = 'submitted';
+    if ( utils.settings.dryRun ) {
+        status = 'dry-run';
+    } else if ( amoChannel === 'unlisted' ) {
+        status = fromGithub ? 'published' : 'signed';
+    }
+    return {
+        store: 'firefox',
+        storeId: amoExtensionId,
+        version: manifest.version,
+        status,
+        urls: {
+            store: amoChannel === 'listed'
+                ? `https://addons.mozilla.org/firefox/addon/${amoExtensionId}/`
+                : undefined,
+            release: fromGithub ? ghapi.releaseURL() : undefined,
+            signedPackage: amoChannel === 'unlisted' && fromGithub
+                ? ghapi.assetDownloadURL(signedPackageName)
+                : undefined,
+        },
+    };
 }
 
-main().then(result => {
-    utils.cleanDo();
-    if ( result !== undefined ) {
-        console.log(result);
-        process.exit(1);
+/******************************************************************************/
+
+// Attach a source code archive to a version already submitted to AMO.
+
+export async function attachSource(options) {
+    const amoExtensionId = options.storeid;
+    const version = options.version;
+
+    const source = await fetchSourceArchive(options);
+    if ( source === undefined ) {
+        throw new PublishError('No source code archive specified');
     }
-    process.exit(0);
-});
+
+    await utils.prompt([
+        'Upload source code to AMO store:',
+        `  Extension id: ${amoExtensionId}`,
+        `  Extension version: ${version}`,
+        ...source.description,
+        ...configSummary(options),
+        `Upload? (enter "yes"): `,
+    ].join('\n'));
+
+    await uploadSourceCode(source.path, { amoExtensionId, version });
+
+    logger.info('Done');
+}
@@ -0,0 +1,201 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as ghapi from './github-api.js';
+import { PublishError } from './errors.js';
+
+/******************************************************************************/
+
+// Release notes are written in Markdown and come from, first found:
+// - a file, `--notes-file=`
+// - a template, `--notes-template=`, where {version}, {tag}, {owner} and
+//   {repo} are replaced with their values
+// - the body of the GitHub release
+//
+// They are rendered for each store:
+// - AMO: HTML subset allowed by AMO, in `release_notes`
+// - Edge: plain text, in the notes for certification
+// - CWS: no way to submit release notes through the API
+
+export const storeFormats = {
+    amo: { format: 'html', maxLength: 3000 },
+    edge: { format: 'text', maxLength: 2000 },
+};
+
+/******************************************************************************/
+
+function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        values[name] !== undefined ? values[name] : match
+    );
+}
+
+// Returns Markdown text, or undefined if there are no release notes.
+
+export async function getReleaseNotes(options, manifest) {
+    if ( options['notes-file'] ) {
+        const text = await fs.readFile(options['notes-file'], {
+            encoding: 'utf8',
+        }).catch(reason => {
+            throw new PublishError(`Unable to read notes file ${options['notes-file']}: ${reason.message}`);
+        });
+        return text.trim() || undefined;
+    }
+    if ( options['notes-template'] ) {
+        return fillTemplate(options['notes-template'], {
+            version: manifest?.version,
+            tag: ghapi.details.tag,
+            owner: ghapi.details.owner,
+            repo: ghapi.details.repo,
+        }).trim() || undefined;
+    }
+    if ( Boolean(options.package) || Boolean(options.srcdir) ) { return; }
+    if ( ghapi.details.tag === '' ) { return; }
+    const releaseInfo = await ghapi.getReleaseInfo();
+    const body = releaseInfo?.body?.replace(/\r\n/g, '\n').trim();
+    return body || undefined;
+}
+
+/******************************************************************************/
+
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Inline Markdown: links, bold, italic, code
+
+function renderInline(text, format) {
+    if ( format === 'text' ) {
+        return text
+            .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) =>
+                label !== '' && label !== url ? `${label} (${url})` : url
+            )
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(^|[^\w*])([*_])(\S.*?)\2(?![\w*])/g, '$1$3')
+            .replace(/`([^`]+)`/g, '$1');
+    }
+    const codes = [];
+    return escapeHTML(text)
+        .replace(/`([^`]+)`/g, (match, code) => {
+            codes.push(code);
+            return `\x00${codes.length - 1}\x00`;
+        })
+        .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) =>
+            `<a href="${url}">${label || url}</a>`
+        )
+        .replace(/(\*\*|__)(.+?)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])([*_])(\S.*?)\2(?![\w*])/g, '$1<em>$3</em>')
+        .replace(/\x00(\d+)\x00/g, (match, i) => `<code>${codes[i]}</code>`);
+}
+
+// Block Markdown: headings, lists, quotes, paragraphs. Headings are rendered
+// in bold since AMO does not allow heading tags.
+
+function renderMarkdown(markdown, format) {
+    const out = [];
+    let list;
+    const closeList = ( ) => {
+        if ( list === undefined ) { return; }
+        if ( format === 'html' ) { out.push(`</${list}>`); }
+        list = undefined;
+    };
+    const openList = type => {
+        if ( list === type ) { return; }
+        closeList();
+        list = type;
+        if ( format === 'html' ) { out.push(`<${type}>`); }
+    };
+    for ( const line of markdown.split('\n') ) {
+        let match = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+        if ( match !== null ) {
+            const ordered = /^\d/.test(match[1]);
+            openList(ordered ? 'ol' : 'ul');
+            const item = renderInline(match[2], format);
+            if ( format === 'html' ) {
+                out.push(`<li>${item}</li>`);
+            } else {
+                out.push(`${ordered ? `${match[1]}` : '•'} ${item}`);
+            }
+            continue;
+        }
+        closeList();
+        match = /^#{1,6}\s+(.*?)\s*#*$/.exec(line);
+        if ( match !== null ) {
+            const heading = renderInline(match[1], format);
+            out.push(format === 'html' ? `<strong>${heading}</strong>` : heading);
+            continue;
+        }
+        match = /^>\s?(.*)$/.exec(line);
+        if ( match !== null ) {
+            const quote = renderInline(match[1], format);
+            out.push(format === 'html' ? `<blockquote>${quote}</blockquote>` : quote);
+            continue;
+        }
+        out.push(renderInline(line, format));
+    }
+    closeList();
+    return out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Truncate at a line boundary when possible.
+
+function truncate(text, maxLength) {
+    if ( text.length <= maxLength ) { return text; }
+    const ellipsis = '\n…';
+    let cut = text.lastIndexOf('\n', maxLength - ellipsis.length);
+    if ( cut <= 0 ) { cut = maxLength - ellipsis.length; }
+    return `${text.slice(0, cut)}${ellipsis}`;
+}
+
+export function renderNotes(markdown, store) {
+    if ( markdown === undefined ) { return; }
+    const { format, maxLength } = storeFormats[store];
+    // Leave room to close lists cut by truncation
+    const reserved = format === 'html' ? '</ul></ol>'.length : 0;
+    let notes = truncate(renderMarkdown(markdown, format), maxLength - reserved);
+    if ( format === 'html' ) {
+        for ( const tag of [ 'ul', 'ol' ] ) {
+            const opened = notes.split(`<${tag}>`).length;
+            const closed = notes.split(`</${tag}>`).length;
+            if ( opened > closed ) { notes += `</${tag}>`; }
+        }
+    }
+    return notes;
+}
+
+/******************************************************************************/
+
+// Lines for confirmation prompts.
+
+export function notesSummary(label, notes) {
+    if ( notes === undefined ) {
+        return [ `  ${label}: [none]` ];
+    }
+    return [
+        `  ${label}:`,
+        ...notes.split('\n').map(a => `    | ${a}`),
+    ];
+}
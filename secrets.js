@@ -0,0 +1,311 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as cli from './commandline.js';
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs/promises';
+import * as logger from './logger.js';
+import { AuthError } from './errors.js';
+import { execFileSync } from 'node:child_process';
+import process from 'node:process';
+
+/******************************************************************************/
+
+// Secrets are looked up by name, i.e. `github_token`, `cws_id`, `cws_secret`,
+// `cws_refresh`, `edge_apikey`, `edge_clientid`, `amo_api_key`, `amo_secret`,
+// through an ordered list of backends. The first backend which knows about a
+// secret wins.
+
+const config = {
+    backends: [ 'env', 'keyring' ],
+    envPrefix: 'PUBLISH_EXTENSION_',
+    passPrefix: 'publish-extension/',
+    vaultPath: '',
+    ageIdentity: '',
+    command: [],
+};
+
+export function configure(options = {}) {
+    if ( options.secrets !== undefined ) {
+        const backends = options.secrets.split(',').map(a => a.trim()).filter(a => a !== '');
+        for ( const name of backends ) {
+            if ( Object.hasOwn(backendMap, name) ) { continue; }
+            throw new cli.CommandLineError(`Unknown secret backend "${name}", expected one of: ${Object.keys(backendMap).join(', ')}`);
+        }
+        config.backends = backends;
+    }
+    if ( options['secret-env-prefix'] !== undefined ) {
+        config.envPrefix = options['secret-env-prefix'];
+    }
+    if ( options['secret-pass-prefix'] !== undefined ) {
+        config.passPrefix = options['secret-pass-prefix'];
+    }
+    if ( options['secret-vault'] !== undefined ) {
+        config.vaultPath = options['secret-vault'];
+        vaultSecrets = undefined;
+    }
+    if ( options['secret-age-identity'] !== undefined ) {
+        config.ageIdentity = options['secret-age-identity'];
+    }
+    if ( options['secret-command'] !== undefined ) {
+        config.command = argvFromCommand(options['secret-command']);
+    }
+}
+
+/******************************************************************************/
+
+function execQuiet(file, args, options = {}) {
+    try {
+        const r = execFileSync(file, args, Object.assign({
+            encoding: 'utf8',
+            stdio: [ 'ignore', 'pipe', 'ignore' ],
+        }, options));
+        return r.replace(/\r?\n$/, '');
+    } catch {
+    }
+}
+
+/******************************************************************************/
+
+// Environment variables, i.e. `PUBLISH_EXTENSION_GITHUB_TOKEN`
+
+function fromEnv(name) {
+    const value = process.env[`${config.envPrefix}${name.toUpperCase()}`];
+    if ( value === undefined || value === '' ) { return; }
+    return value;
+}
+
+/******************************************************************************/
+
+// https://grahamwatts.co.uk/gnome-secrets/
+// Store:
+//   secret-tool store --label="[...]" token [name]
+//   Enter [secret] at prompt
+// Retrieve:
+//   secret-tool lookup token [name]
+
+// https://scriptingosx.com/2021/04/get-password-from-keychain-in-shell-scripts/
+// Store:
+//   security add-generic-password -s [name] -a "publish-extension" -w "[secret]"
+// Retrieve:
+//   security find-generic-password -w -s [name] -a "publish-extension"
+
+function fromKeyring(name) {
+    if ( process.platform === 'linux' ) {
+        return execQuiet('secret-tool', [ 'lookup', 'token', name ]) || undefined;
+    }
+    if ( process.platform === 'darwin' ) {
+        return execQuiet('security', [
+            'find-generic-password', '-w', '-s', name, '-a', 'publish-extension'
+        ]) || undefined;
+    }
+}
+
+/******************************************************************************/
+
+// https://www.passwordstore.org/
+// Store:
+//   pass insert publish-extension/[name]
+// Only the first line of an entry is used, as per `pass` convention.
+
+function fromPass(name) {
+    const text = execQuiet('pass', [ 'show', `${config.passPrefix}${name}` ]);
+    if ( text === undefined ) { return; }
+    return text.split(/\r?\n/)[0] || undefined;
+}
+
+/******************************************************************************/
+
+// Local JSON vault holding a `{ "[name]": "[secret]", ... }` dictionary, either:
+// - encrypted with age (https://age-encryption.org/), when the file name ends
+//   with `.age`; an identity file can be provided, otherwise age will prompt
+//   for a passphrase
+// - encrypted with a passphrase, using the format produced by `encryptVault()`;
+//   the passphrase is read from `PUBLISH_EXTENSION_VAULT_PASSPHRASE`
+
+const vaultCipher = 'aes-256-gcm';
+
+function vaultKeyFromPassphrase(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+}
+
+function vaultPassphrase() {
+    const passphrase = process.env[`${config.envPrefix}VAULT_PASSPHRASE`];
+    if ( Boolean(passphrase) === false ) {
+        throw new AuthError(`Vault passphrase missing: set ${config.envPrefix}VAULT_PASSPHRASE`);
+    }
+    logger.addSecret(passphrase);
+    return passphrase;
+}
+
+export function encryptVault(secrets, passphrase = vaultPassphrase()) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(vaultCipher, vaultKeyFromPassphrase(passphrase, salt), iv);
+    const data = Buffer.concat([
+        cipher.update(JSON.stringify(secrets), 'utf8'),
+        cipher.final(),
+    ]);
+    return {
+        cipher: vaultCipher,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+function decryptVault(vault, passphrase = vaultPassphrase()) {
+    if ( vault?.cipher !== vaultCipher || vault?.kdf !== 'scrypt' ) {
+        throw new AuthError(`Unsupported vault format: ${vault?.cipher}/${vault?.kdf}`);
+    }
+    try {
+        const salt = Buffer.from(vault.salt, 'base64');
+        const decipher = crypto.createDecipheriv(
+            vaultCipher,
+            vaultKeyFromPassphrase(passphrase, salt),
+            Buffer.from(vault.iv, 'base64')
+        );
+        decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+        const text = Buffer.concat([
+            decipher.update(Buffer.from(vault.data, 'base64')),
+            decipher.final(),
+        ]).toString('utf8');
+        return JSON.parse(text);
+    } catch {
+        throw new AuthError('Unable to decrypt vault: wrong passphrase or corrupted file');
+    }
+}
+
+// All secrets of the vault, once decrypted. A promise, so that concurrent
+// lookups share a single decryption.
+let vaultSecrets;
+
+async function readVault() {
+    const vaultPath = config.vaultPath;
+    if ( vaultPath.endsWith('.age') ) {
+        const args = [ '--decrypt' ];
+        if ( config.ageIdentity !== '' ) {
+            args.push('--identity', config.ageIdentity);
+        }
+        args.push(vaultPath);
+        let text;
+        try {
+            text = execFileSync('age', args, {
+                encoding: 'utf8',
+                stdio: [ 'inherit', 'pipe', 'inherit' ],
+            });
+        } catch (reason) {
+            throw new AuthError(`Unable to decrypt vault ${vaultPath} with age: ${reason.message}`);
+        }
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw new AuthError(`Invalid vault ${vaultPath}: not a JSON dictionary once decrypted`);
+        }
+    }
+    const text = await fs.readFile(vaultPath, { encoding: 'utf8' }).catch(reason => {
+        throw new AuthError(`Unable to read vault ${vaultPath}: ${reason.message}`);
+    });
+    let vault;
+    try {
+        vault = JSON.parse(text);
+    } catch {
+        throw new AuthError(`Invalid vault ${vaultPath}: not JSON`);
+    }
+    return decryptVault(vault);
+}
+
+async function fromVault(name) {
+    if ( config.vaultPath === '' ) { return; }
+    vaultSecrets ??= readVault();
+    const value = (await vaultSecrets)?.[name];
+    if ( typeof value !== 'string' || value === '' ) { return; }
+    return value;
+}
+
+/******************************************************************************/
+
+// Arbitrary user command, where `{name}` is replaced with the name of the
+// secret, i.e. `op read op://release/{name}/credential`. The command must
+// output the secret on stdout, and exit with a non-zero code when the secret
+// is not found.
+//
+// The command is not run through a shell: it is split into arguments on
+// whitespace, single and double quotes grouping words, and `{name}` is
+// replaced in each argument.
+
+function argvFromCommand(text) {
+    const argv = [];
+    const re = /"([^"]*)"|'([^']*)'|(["'])|(\s+)|([^\s"']+)/g;
+    let arg;
+    for ( const match of text.matchAll(re) ) {
+        const [ , doubleQuoted, singleQuoted, unmatched, space, word ] = match;
+        if ( unmatched !== undefined ) {
+            throw new cli.CommandLineError(`Unterminated quote in --secret-command: ${text}`);
+        }
+        if ( space !== undefined ) {
+            if ( arg !== undefined ) { argv.push(arg); }
+            arg = undefined;
+            continue;
+        }
+        arg = (arg || '') + (doubleQuoted ?? singleQuoted ?? word);
+    }
+    if ( arg !== undefined ) { argv.push(arg); }
+    if ( argv.length === 0 ) {
+        throw new cli.CommandLineError('Empty --secret-command');
+    }
+    return argv;
+}
+
+function fromCommand(name) {
+    if ( config.command.length === 0 ) { return; }
+    const [ file, ...args ] = config.command.map(a => a.replaceAll('{name}', name));
+    return execQuiet(file, args, {
+        stdio: [ 'ignore', 'pipe', 'inherit' ],
+    }) || undefined;
+}
+
+/******************************************************************************/
+
+const backendMap = {
+    env: fromEnv,
+    keyring: fromKeyring,
+    pass: fromPass,
+    vault: fromVault,
+    command: fromCommand,
+};
+
+const secrets = new Map();
+
+export async function getSecret(name) {
+    if ( secrets.has(name) ) { return secrets.get(name); }
+    for ( const backend of config.backends ) {
+        const value = await backendMap[backend](name);
+        if ( value === undefined ) { continue; }
+        secrets.set(name, value);
+        // Never output, whatever the path
+        logger.addSecret(value);
+        return value;
+    }
+    throw new AuthError(`Secret "${name}" not found, tried: ${config.backends.join(', ')}`);
+}
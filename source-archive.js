@@ -0,0 +1,152 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as ghapi from './github-api.js';
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { CommandLineError } from './commandline.js';
+import { PublishError, ValidationError } from './errors.js';
+import { ZipArchive } from './zip.js';
+import { execFileSync } from 'node:child_process';
+import path from 'node:path';
+
+/******************************************************************************/
+
+// Source code archive submitted to AMO along with a package, for reviewers to
+// be able to rebuild minified or generated code. It comes from:
+// - a local file, `--source=`
+// - another asset of the GitHub release, `--source-asset=`
+// - a `git archive` of the release tag, `--source-git`
+
+const archiveExtensions = /\.(zip|tar\.gz|tgz|tar\.bz2)$/;
+
+/******************************************************************************/
+
+export function hasSourceArchive(options) {
+    return Boolean(options.source) ||
+        Boolean(options['source-asset']) ||
+        options['source-git'] === true;
+}
+
+export function checkSourceArchiveOptions(options) {
+    const given = [ 'source', 'source-asset', 'source-git' ].filter(a =>
+        Boolean(options[a])
+    );
+    if ( given.length > 1 ) {
+        throw new CommandLineError(
+            `Options ${given.map(a => `--${a}`).join(', ')} are mutually exclusive`
+        );
+    }
+    if ( options['source-git'] && Boolean(options.ghtag) === false ) {
+        throw new CommandLineError('Option --source-git requires --ghtag');
+    }
+    if ( options['source-asset'] && Boolean(options.ghtag) === false ) {
+        throw new CommandLineError('Option --source-asset requires a GitHub release');
+    }
+}
+
+/******************************************************************************/
+
+async function listArchive(archivePath) {
+    if ( archivePath.endsWith('.zip') ) {
+        const archive = await ZipArchive.fromFile(archivePath);
+        return archive.names();
+    }
+    const text = execFileSync('tar', [ '-tf', archivePath ], {
+        encoding: 'utf8',
+        stdio: [ 'ignore', 'pipe', 'pipe' ],
+    });
+    return text.split('\n').filter(a => a !== '');
+}
+
+// Refuse archives which are obviously not what AMO reviewers expect.
+
+export async function checkSourceArchive(archivePath) {
+    const problems = [];
+    if ( archiveExtensions.test(archivePath) === false ) {
+        problems.push('Source archive must be a .zip, .tar.gz, .tgz or .tar.bz2 file');
+        throw new ValidationError('Source archive validation failed', problems);
+    }
+    const names = await listArchive(archivePath).catch(reason => {
+        throw new ValidationError('Source archive validation failed', [
+            `Unable to read ${archivePath}: ${reason.message}`,
+        ]);
+    });
+    const files = names.filter(a => a.endsWith('/') === false);
+    if ( files.length === 0 ) {
+        problems.push('Source archive is empty');
+    }
+    if ( names.some(a => a.split('/').includes('node_modules')) ) {
+        problems.push('Source archive contains a node_modules directory');
+    }
+    if ( problems.length !== 0 ) {
+        throw new ValidationError('Source archive validation failed', problems);
+    }
+    return files.length;
+}
+
+/******************************************************************************/
+
+// Returns:
+//   path: path to the source archive
+//   description: lines describing the source archive, for confirmation prompts
+
+export async function fetchSourceArchive(options) {
+    let archivePath;
+    let description;
+
+    if ( options.source ) {
+        archivePath = path.resolve(options.source);
+        description = `  Source archive: "${archivePath}"`;
+    } else if ( options['source-asset'] ) {
+        const assetInfo = await ghapi.getAssetInfo(options['source-asset']);
+        if ( assetInfo === undefined ) {
+            throw new PublishError(`Source asset "${options['source-asset']}" not found in release ${ghapi.details.tag}`);
+        }
+        archivePath = await ghapi.downloadAssetFromRelease(assetInfo);
+        description = `  Source archive: release asset "${assetInfo.name}"`;
+    } else if ( options['source-git'] ) {
+        const tag = ghapi.details.tag;
+        const name = `${ghapi.details.repo || 'source'}-${tag}`;
+        archivePath = `${await utils.getTempDir()}/${name}.zip`;
+        try {
+            await utils.shellExec(
+                `git archive --format=zip --prefix="${name}/" --output="${archivePath}" "${tag}"`
+            );
+        } catch (reason) {
+            throw new PublishError(`git archive of ${tag} failed: ${reason.message}`);
+        }
+        description = `  Source archive: git archive of "${tag}"`;
+    } else {
+        return;
+    }
+
+    await fs.access(archivePath).catch(( ) => {
+        throw new PublishError(`Source archive not found: ${archivePath}`);
+    });
+    const count = await checkSourceArchive(archivePath);
+    logger.info(`Source archive ${archivePath} holds ${count} files`);
+    return {
+        path: archivePath,
+        description: [ `${description} (${count} files)` ],
+    };
+}
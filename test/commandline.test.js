@@ -0,0 +1,113 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as cli from '../commandline.js';
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+/******************************************************************************/
+
+const spec = {
+    ghowner: { type: 'string', required: true, description: 'GitHub owner' },
+    ghtag: { type: 'string', required: true, description: 'GitHub tag' },
+    'dry-run': { type: 'boolean', default: false, description: 'Do not publish' },
+    retries: { type: 'integer', default: 3, description: 'Fetch retries' },
+    'deploy-percentage': { type: 'number', description: 'Rollout percentage' },
+    channel: { type: 'string', default: 'listed', choices: [ 'listed', 'unlisted' ], description: 'AMO channel' },
+};
+
+test('tokenize splits positionals and raw options', ( ) => {
+    const { positionals, rawOptions } = cli.tokenize([
+        'firefox', '--ghowner=gorhill', '--dry-run', 'ghtag=1.0.0', '-h', 'publish', '--', '--not-an-option',
+    ]);
+    assert.deepEqual(positionals, [ 'firefox', 'publish', '--not-an-option' ]);
+    assert.deepEqual(rawOptions, [
+        { name: 'ghowner', value: 'gorhill' },
+        { name: 'dry-run', value: true },
+        { name: 'ghtag', value: '1.0.0' },
+        { name: 'help', value: true },
+    ]);
+    assert.deepEqual(cli.tokenize([ '--notes=a=b' ]).rawOptions, [ { name: 'notes', value: 'a=b' } ]);
+});
+
+test('values are coerced to their type', ( ) => {
+    const parse = argv => cli.parseOptions(cli.tokenize(argv).rawOptions, spec);
+    const options = parse([ '--dry-run', '--retries=5', '--deploy-percentage=12.5', '--channel=unlisted' ]);
+    assert.equal(options['dry-run'], true);
+    assert.equal(options.retries, 5);
+    assert.equal(options['deploy-percentage'], 12.5);
+    assert.equal(options.channel, 'unlisted');
+    assert.equal(parse([ '--dry-run=no' ])['dry-run'], false);
+    assert.equal(parse([ '--dry-run=ON' ])['dry-run'], true);
+    assert.throws(( ) => parse([ '--dry-run=maybe' ]), /expects a boolean/);
+    assert.throws(( ) => parse([ '--retries=1.5' ]), /expects an integer/);
+    assert.throws(( ) => parse([ '--retries=' ]), /expects a number/);
+    assert.throws(( ) => parse([ '--retries' ]), /expects a number/);
+    assert.throws(( ) => parse([ '--ghowner' ]), /--ghowner expects a value/);
+    assert.throws(( ) => parse([ '--channel=public' ]), /must be one of: listed, unlisted/);
+});
+
+test('unknown options are refused, with a suggestion when close', ( ) => {
+    const parse = argv => cli.parseOptions(cli.tokenize(argv).rawOptions, spec);
+    assert.throws(
+        ( ) => parse([ '--gh-owner=gorhill' ]),
+        error => error instanceof cli.CommandLineError &&
+            error.message === 'Unknown option --gh-owner, did you mean --ghowner?'
+    );
+    assert.throws(
+        ( ) => parse([ '--verbose' ]),
+        error => error.message === 'Unknown option --verbose'
+    );
+});
+
+test('defaults and required options', ( ) => {
+    const options = cli.applyDefaults(cli.parseOptions([ { name: 'retries', value: '1' } ], spec), spec);
+    assert.equal(options.retries, 1);
+    assert.equal(options['dry-run'], false);
+    assert.equal(options.channel, 'listed');
+    assert.equal(options['deploy-percentage'], undefined);
+    assert.throws(
+        ( ) => cli.checkRequiredOptions(options, spec),
+        error => error.message === 'Missing required option(s): --ghowner, --ghtag'
+    );
+    options.ghowner = 'gorhill';
+    options.ghtag = '';
+    assert.throws(( ) => cli.checkRequiredOptions(options, spec), /--ghtag$/);
+    options.ghtag = '1.0.0';
+    cli.checkRequiredOptions(options, spec);
+});
+
+test('merged values do not override the command line', ( ) => {
+    const options = cli.parseOptions([ { name: 'retries', value: '1' } ], spec);
+    cli.mergeOptions(options, { retries: 9, 'dry-run': 'yes', ghowner: 'gorhill' }, spec, 'publish.config.json');
+    assert.equal(options.retries, 1);
+    assert.equal(options['dry-run'], true);
+    assert.equal(options.ghowner, 'gorhill');
+    assert.throws(
+        ( ) => cli.mergeOptions({ }, { retries: 'many' }, spec, 'publish.config.json'),
+        /expects a number/
+    );
+    assert.throws(
+        ( ) => cli.mergeOptions({ }, { 'dry-run': 1 }, spec, 'publish.config.json'),
+        /--dry-run in publish.config.json expects a boolean/
+    );
+});
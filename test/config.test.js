@@ -0,0 +1,120 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as cli from '../commandline.js';
+import * as fs from 'node:fs/promises';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveOptions } from '../config.js';
+import { test } from 'node:test';
+
+/******************************************************************************/
+
+const spec = {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    ghowner: { type: 'string' },
+    ghrepo: { type: 'string' },
+    ghasset: { type: 'string' },
+    notes: { type: 'string' },
+    retries: { type: 'integer' },
+};
+
+const config = {
+    defaults: {
+        ghowner: 'gorhill',
+        ghrepo: 'uBlock',
+        retries: 3,
+        // Known to other commands only
+        updatepath: 'dist/firefox/updates.json',
+        chromium: {
+            ghasset: '*.chromium.zip',
+        },
+    },
+    profiles: {
+        ubol: {
+            ghrepo: 'uBOL-home',
+            edge: {
+                ghasset: '*.edge.zip',
+            },
+        },
+        typo: {
+            'deploy-percentag': 10,
+        },
+        'ubol-edge': {
+            extends: 'ubol',
+            notes: 'Routine update',
+        },
+        loop: {
+            extends: 'loop',
+        },
+    },
+};
+
+// Options of other commands
+const knownNames = new Set([ 'updatepath', 'deploy-percentage' ]);
+
+async function resolve(options, store) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-extension-test-'));
+    const filePath = path.join(dir, 'publish.config.json');
+    await fs.writeFile(filePath, JSON.stringify(config));
+    try {
+        return await resolveOptions({ config: filePath, ...options }, spec, store, knownNames);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('defaults and store section of defaults', async ( ) => {
+    const options = await resolve({}, 'chromium');
+    assert.equal(options.ghowner, 'gorhill');
+    assert.equal(options.ghrepo, 'uBlock');
+    assert.equal(options.ghasset, '*.chromium.zip');
+    assert.equal(options.retries, 3);
+});
+
+test('options unknown to the command are ignored', async ( ) => {
+    const options = await resolve({}, 'edge');
+    assert.equal(options.updatepath, undefined);
+    assert.equal(options.ghasset, undefined);
+});
+
+test('precedence: command line, profile, extended profile, defaults', async ( ) => {
+    const options = await resolve({ profile: 'ubol-edge', ghowner: 'someone' }, 'edge');
+    assert.equal(options.ghowner, 'someone');
+    assert.equal(options.ghrepo, 'uBOL-home');
+    assert.equal(options.ghasset, '*.edge.zip');
+    assert.equal(options.notes, 'Routine update');
+});
+
+test('unknown and circular profiles', async ( ) => {
+    await assert.rejects(resolve({ profile: 'nope' }), cli.CommandLineError);
+    await assert.rejects(resolve({ profile: 'loop' }), cli.CommandLineError);
+});
+
+test('options unknown to all commands are refused', async ( ) => {
+    await assert.rejects(resolve({ profile: 'typo' }, 'chromium'), {
+        name: 'CommandLineError',
+        message: 'Unknown option --deploy-percentag in publish.config.json (profile "typo"), did you mean --deploy-percentage?',
+    });
+});
@@ -0,0 +1,64 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as ghapi from '../github-api.js';
+import { PublishError } from '../errors.js';
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+/******************************************************************************/
+
+const assets = [
+    { name: 'uBlock0_1.0.0.chromium.zip' },
+    { name: 'uBlock0_1.0.0.firefox.xpi' },
+    { name: 'uBlock0_1.0.0.firefox.signed.xpi' },
+];
+
+test('exact name only matches the whole name', ( ) => {
+    const asset = ghapi.selectAsset(assets, 'uBlock0_1.0.0.firefox.xpi');
+    assert.equal(asset.name, 'uBlock0_1.0.0.firefox.xpi');
+    assert.equal(ghapi.selectAsset(assets, 'chromium'), undefined);
+    assert.equal(ghapi.selectAsset(assets, 'uBlock0_1.0.0'), undefined);
+});
+
+test('glob matches', ( ) => {
+    assert.equal(ghapi.selectAsset(assets, '*.chromium.zip').name, 'uBlock0_1.0.0.chromium.zip');
+    assert.equal(ghapi.selectAsset(assets, '*.firefox.signed.xp?').name, 'uBlock0_1.0.0.firefox.signed.xpi');
+    assert.equal(ghapi.selectAsset(assets, '*.edge.zip'), undefined);
+});
+
+test('regex matches', ( ) => {
+    assert.equal(ghapi.selectAsset(assets, '/\\.firefox\\.xpi$/').name, 'uBlock0_1.0.0.firefox.xpi');
+    assert.equal(ghapi.selectAsset(assets, '/CHROMIUM/i').name, 'uBlock0_1.0.0.chromium.zip');
+    assert.equal(ghapi.selectAsset(assets, '/opera/'), undefined);
+});
+
+test('more than one match throws', ( ) => {
+    assert.throws(
+        ( ) => ghapi.selectAsset(assets, '*.xpi'),
+        error => error instanceof PublishError && /matches more than one asset/.test(error.message)
+    );
+    assert.throws(
+        ( ) => ghapi.selectAsset(assets, '/firefox/'),
+        PublishError
+    );
+});
@@ -0,0 +1,104 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as fs from 'node:fs/promises';
+import * as logger from '../logger.js';
+import * as utils from '../utils.js';
+import { after, before, test } from 'node:test';
+import { Journal } from '../journal.js';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+
+/******************************************************************************/
+
+const run = {
+    store: 'firefox',
+    extensionId: 'uBlock0@raymondhill.net',
+    version: '1.62.1',
+    source: 'gorhill/uBlock/1.62.1/*.firefox.xpi',
+};
+
+let dir;
+
+before(async ( ) => {
+    logger.configure({ level: 'error' });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-extension-test-'));
+});
+
+after(async ( ) => {
+    await utils.cleanDo();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('completed steps are skipped when resuming', async ( ) => {
+    const stateFile = path.join(dir, 'resume.json');
+    const calls = [];
+    const first = await Journal.open(stateFile, run);
+    await first.run('submit', async ( ) => { calls.push('submit'); return { id: 1 }; });
+    // Interrupted before completing 'sign'
+
+    const resumed = await Journal.open(stateFile, { ...run, resume: true });
+    assert.equal(resumed.isDone('submit'), true);
+    const data = await resumed.run('submit', async ( ) => { calls.push('submit'); });
+    assert.deepEqual(data, { id: 1 });
+    await resumed.run('sign', async ( ) => { calls.push('sign'); });
+    assert.deepEqual(calls, [ 'submit', 'sign' ]);
+});
+
+test('a step which fails verification is run again', async ( ) => {
+    const stateFile = path.join(dir, 'verify.json');
+    const calls = [];
+    const first = await Journal.open(stateFile, run);
+    await first.run('upload', async ( ) => { calls.push('upload'); });
+    const resumed = await Journal.open(stateFile, { ...run, resume: true });
+    await resumed.run('upload', async ( ) => { calls.push('upload'); }, async ( ) => false);
+    assert.deepEqual(calls, [ 'upload', 'upload' ]);
+});
+
+test('without --resume, a run starts over', async ( ) => {
+    const stateFile = path.join(dir, 'restart.json');
+    const first = await Journal.open(stateFile, run);
+    await first.complete('submit');
+    const again = await Journal.open(stateFile, run);
+    assert.equal(again.isDone('submit'), false);
+});
+
+test('package is kept until the run finishes', async ( ) => {
+    const stateFile = path.join(dir, 'package.json');
+    const packagePath = path.join(dir, 'uBlock0_1.62.1.firefox.xpi');
+    await fs.writeFile(packagePath, 'package');
+    const journal = await Journal.open(stateFile, run);
+    await journal.keepPackage({
+        path: packagePath,
+        name: 'uBlock0_1.62.1.firefox.xpi',
+        description: [ '  Package: local' ],
+    });
+    const kept = await Journal.findPackage(stateFile, run);
+    assert.equal(kept.name, 'uBlock0_1.62.1.firefox.xpi');
+    assert.equal(await fs.readFile(kept.path, 'utf8'), 'package');
+    assert.equal(await Journal.findPackage(stateFile, { ...run, source: 'other' }), undefined);
+    await journal.finish();
+    assert.equal(await Journal.findPackage(stateFile, run), undefined);
+    const state = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+    assert.notEqual(state[`firefox/${run.extensionId}/${run.version}`].finishedAt, undefined);
+});
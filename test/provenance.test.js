@@ -0,0 +1,94 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as fs from 'node:fs/promises';
+import * as logger from '../logger.js';
+import * as provenance from '../provenance.js';
+import * as utils from '../utils.js';
+import { after, before, test } from 'node:test';
+import { ZipArchive } from '../zip.js';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+
+/******************************************************************************/
+
+let dir;
+
+before(async ( ) => {
+    logger.configure({ level: 'error' });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-extension-test-'));
+});
+
+after(async ( ) => {
+    await utils.cleanDo();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function sha256(filePath) {
+    return createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+test('manifest changes are listed by path', ( ) => {
+    const diff = provenance.diffManifests(
+        { version: '1.0', browser_specific_settings: { gecko: { id: 'a' } } },
+        { version: '1.0', browser_specific_settings: { gecko: { id: 'a', update_url: 'https://a/' } } }
+    );
+    assert.deepEqual(diff, [
+        { path: 'browser_specific_settings.gecko.update_url', before: undefined, after: 'https://a/' },
+    ]);
+});
+
+test('checksums of a local package are saved where asked, and verify', async ( ) => {
+    const name = 'uBlock0_1.0.chromium.zip';
+    const packagePath = path.join(dir, name);
+    const archive = new ZipArchive();
+    archive.set('manifest.json', JSON.stringify({ manifest_version: 3, name: 'uBO', version: '1.0' }));
+    await archive.save(packagePath);
+    const assetSum = await sha256(packagePath);
+    const record = await provenance.startProvenance({
+        path: packagePath,
+        name,
+        description: [ `  Package: ${packagePath}` ],
+    }, { store: 'chromium', storeId: 'abc' });
+
+    await utils.updateManifestInPackage(packagePath, { manifest_version: 3, name: 'uBO', version: '1.0.1' });
+    await provenance.addUploadedPackage(record, packagePath);
+    const uploadedSum = await sha256(packagePath);
+
+    const outDir = path.join(dir, 'provenance');
+    await provenance.publishProvenance(record, outDir);
+    assert.deepEqual((await fs.readdir(outDir)).sort(), [
+        'chromium.SHA256SUMS',
+        'chromium.provenance.json',
+        'chromium.uploaded.SHA256SUMS',
+    ]);
+    // `sha256sum -c` compatible: names are those of actual files
+    const sums = await fs.readFile(path.join(outDir, 'chromium.SHA256SUMS'), 'utf8');
+    assert.equal(sums, `${assetSum}  ${name}\n`);
+    const uploaded = await fs.readFile(path.join(outDir, 'chromium.uploaded.SHA256SUMS'), 'utf8');
+    assert.equal(uploaded, `${uploadedSum}  ${name}\n`);
+    const json = JSON.parse(await fs.readFile(path.join(outDir, 'chromium.provenance.json'), 'utf8'));
+    assert.equal(json.version, '1.0.1');
+    assert.deepEqual(json.manifestDiff, [ { path: 'version', before: '1.0', after: '1.0.1' } ]);
+});
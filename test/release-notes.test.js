@@ -0,0 +1,94 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import { notesSummary, renderNotes, storeFormats } from '../release-notes.js';
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+/******************************************************************************/
+
+const markdown = [
+    '# Changes',
+    '',
+    '- Fix **bold** and *italic* in `code <b>`',
+    '- See [#123](https://github.com/gorhill/uBlock/issues/123)',
+    '',
+    '1. one',
+    '2. two',
+    '',
+    '> quoted & "text"',
+    'Plain',
+].join('\n');
+
+test('AMO notes are in the allowed HTML subset', ( ) => {
+    assert.equal(renderNotes(markdown, 'amo'), [
+        '<strong>Changes</strong>',
+        '',
+        '<ul>',
+        '<li>Fix <strong>bold</strong> and <em>italic</em> in <code>code &lt;b&gt;</code></li>',
+        '<li>See <a href="https://github.com/gorhill/uBlock/issues/123">#123</a></li>',
+        '</ul>',
+        '',
+        '<ol>',
+        '<li>one</li>',
+        '<li>two</li>',
+        '</ol>',
+        '',
+        '<blockquote>quoted &amp; &quot;text&quot;</blockquote>',
+        'Plain',
+    ].join('\n'));
+});
+
+test('Edge notes are plain text', ( ) => {
+    assert.equal(renderNotes(markdown, 'edge'), [
+        'Changes',
+        '',
+        '• Fix bold and italic in code <b>',
+        '• See #123 (https://github.com/gorhill/uBlock/issues/123)',
+        '',
+        '1. one',
+        '2. two',
+        '',
+        'quoted & "text"',
+        'Plain',
+    ].join('\n'));
+});
+
+test('long notes are truncated within the store limit', ( ) => {
+    const long = Array.from({ length: 400 }, (_, i) => `- item number ${i}`).join('\n');
+    const amo = renderNotes(long, 'amo');
+    assert.ok(amo.length <= storeFormats.amo.maxLength);
+    assert.match(amo, /<\/li>\n…<\/ul>$/);
+    const edge = renderNotes(long, 'edge');
+    assert.ok(edge.length <= storeFormats.edge.maxLength);
+    assert.match(edge, /\n• item number \d+\n…$/);
+});
+
+test('no notes', ( ) => {
+    assert.equal(renderNotes(undefined, 'amo'), undefined);
+    assert.deepEqual(notesSummary('Release notes', undefined), [ '  Release notes: [none]' ]);
+    assert.deepEqual(notesSummary('Release notes', 'a\nb'), [
+        '  Release notes:',
+        '    | a',
+        '    | b',
+    ]);
+});
@@ -0,0 +1,117 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as fs from 'node:fs/promises';
+import * as logger from '../logger.js';
+import * as secrets from '../secrets.js';
+import { after, before, mock, test } from 'node:test';
+import { AuthError } from '../errors.js';
+import { CommandLineError } from '../commandline.js';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { syncBuiltinESMExports } from 'node:module';
+
+/******************************************************************************/
+
+// Secrets are cached by name, hence the distinct names in each test.
+
+let dir;
+
+before(async ( ) => {
+    logger.configure({ level: 'error' });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-extension-test-'));
+    process.env.TEST_VAULT_PASSPHRASE = 'correct-horse-battery-staple';
+});
+
+after(async ( ) => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeVault(dict) {
+    const vaultPath = path.join(dir, `vault-${Math.random()}.json`);
+    await fs.writeFile(vaultPath, JSON.stringify(secrets.encryptVault(dict, 'correct-horse-battery-staple')));
+    return vaultPath;
+}
+
+test('environment backend', async ( ) => {
+    secrets.configure({ secrets: 'env', 'secret-env-prefix': 'TEST_' });
+    process.env.TEST_ENV_TOKEN = 'from-env';
+    assert.equal(await secrets.getSecret('env_token'), 'from-env');
+    await assert.rejects(secrets.getSecret('env_missing'), AuthError);
+});
+
+test('command backend, without a shell', async ( ) => {
+    secrets.configure({
+        secrets: 'command',
+        'secret-command': `node -e "process.stdout.write(process.argv[1] + ':' + process.argv[2])" {name} 'two words;$HOME'`,
+    });
+    assert.equal(await secrets.getSecret('cmd_token'), "cmd_token:two words;$HOME");
+    secrets.configure({ 'secret-command': 'node -e "process.exit(1)"' });
+    await assert.rejects(secrets.getSecret('cmd_missing'), AuthError);
+});
+
+test('malformed secret commands and backends', ( ) => {
+    assert.throws(( ) => secrets.configure({ 'secret-command': `echo 'unterminated` }), CommandLineError);
+    assert.throws(( ) => secrets.configure({ 'secret-command': '  ' }), CommandLineError);
+    assert.throws(( ) => secrets.configure({ secrets: 'env,nope' }), CommandLineError);
+});
+
+test('vault is decrypted once for concurrent lookups', async ( ) => {
+    const vaultPath = await writeVault({ vault_a: 'value-a', vault_b: 'value-b' });
+    secrets.configure({ secrets: 'vault', 'secret-env-prefix': 'TEST_', 'secret-vault': vaultPath });
+    const scrypt = mock.method(crypto, 'scryptSync');
+    syncBuiltinESMExports();
+    try {
+        const values = await Promise.all([
+            secrets.getSecret('vault_a'),
+            secrets.getSecret('vault_b'),
+        ]);
+        assert.deepEqual(values, [ 'value-a', 'value-b' ]);
+        assert.equal(scrypt.mock.callCount(), 1);
+    } finally {
+        mock.restoreAll();
+        syncBuiltinESMExports();
+    }
+});
+
+test('vault failures are authentication failures', async ( ) => {
+    const cases = [
+        path.join(dir, 'missing.json'),
+        path.join(dir, 'missing.age'),
+    ];
+    const corrupt = path.join(dir, 'corrupt.json');
+    await fs.writeFile(corrupt, '{ not json');
+    cases.push(corrupt);
+    const unsupported = path.join(dir, 'unsupported.json');
+    await fs.writeFile(unsupported, JSON.stringify({ cipher: 'rot13', kdf: 'none' }));
+    cases.push(unsupported);
+    const wrongPassphrase = await writeVault({ vault_c: 'value-c' });
+    process.env.OTHER_VAULT_PASSPHRASE = 'wrong-passphrase';
+    for ( const vaultPath of cases ) {
+        secrets.configure({ secrets: 'vault', 'secret-env-prefix': 'TEST_', 'secret-vault': vaultPath });
+        await assert.rejects(secrets.getSecret('vault_c'), AuthError, vaultPath);
+    }
+    secrets.configure({ secrets: 'vault', 'secret-env-prefix': 'OTHER_', 'secret-vault': wrongPassphrase });
+    await assert.rejects(secrets.getSecret('vault_c'), AuthError);
+});
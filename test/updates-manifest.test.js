@@ -0,0 +1,104 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import {
+    addUpdateEntry,
+    checkUpdateURL,
+    defaultUpdateURLTemplate,
+    renderUpdateURL,
+    validateUpdateManifest,
+} from '../updates-manifest.js';
+import { ValidationError } from '../errors.js';
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+/******************************************************************************/
+
+const addonId = 'uBlock0@raymondhill.net';
+
+function entryFor(version) {
+    return {
+        addonId,
+        version,
+        updateLink: `https://github.com/gorhill/uBlock/releases/download/${version}/uBlock0_${version}.firefox.signed.xpi`,
+        updateHash: 'sha256:0123456789abcdef',
+    };
+}
+
+function versionsOf(data) {
+    return data.addons[addonId].updates.map(a => a.version);
+}
+
+test('manifest is created when missing', ( ) => {
+    const data = addUpdateEntry(undefined, entryFor('1.0.0'));
+    assert.deepEqual(versionsOf(data), [ '1.0.0' ]);
+    assert.equal(data.addons[addonId].updates[0].update_hash, 'sha256:0123456789abcdef');
+    assert.deepEqual(validateUpdateManifest(data), []);
+});
+
+test('a single entry is kept by default', ( ) => {
+    let data = addUpdateEntry(undefined, entryFor('1.0.0'));
+    data = addUpdateEntry(data, entryFor('1.1.0'));
+    assert.deepEqual(versionsOf(data), [ '1.1.0' ]);
+});
+
+test('keep last N entries, or all', ( ) => {
+    let data;
+    for ( const version of [ '1.0.0', '1.1.0', '1.2.0', '1.3.0' ] ) {
+        data = addUpdateEntry(data, { ...entryFor(version), keep: 2 });
+    }
+    assert.deepEqual(versionsOf(data), [ '1.3.0', '1.2.0' ]);
+    data = addUpdateEntry(data, { ...entryFor('1.4.0'), keep: 0 });
+    assert.deepEqual(versionsOf(data), [ '1.4.0', '1.3.0', '1.2.0' ]);
+});
+
+test('same version is replaced, older version is refused', ( ) => {
+    let data = addUpdateEntry(undefined, { ...entryFor('1.1.0'), keep: 0 });
+    data = addUpdateEntry(data, { ...entryFor('1.1.0'), keep: 0 });
+    assert.deepEqual(versionsOf(data), [ '1.1.0' ]);
+    assert.throws(( ) => addUpdateEntry(data, entryFor('1.0.0')), ValidationError);
+});
+
+test('invalid entries are reported', ( ) => {
+    const problems = validateUpdateManifest({
+        addons: {
+            [addonId]: {
+                updates: [ { version: '', update_link: 'http://example.com/a.xpi', update_hash: 'md5:00' } ],
+            },
+        },
+    });
+    assert.equal(problems.length, 2);
+});
+
+test('update URL template', ( ) => {
+    const values = {
+        owner: 'gorhill',
+        repo: 'uBlock',
+        branch: 'master',
+        path: 'dist/firefox/updates.json',
+    };
+    const updateURL = renderUpdateURL(defaultUpdateURLTemplate, values);
+    assert.equal(updateURL, 'https://raw.githubusercontent.com/gorhill/uBlock/master/dist/firefox/updates.json');
+    checkUpdateURL(updateURL, values);
+    assert.throws(( ) => renderUpdateURL(defaultUpdateURLTemplate, { ...values, branch: undefined }), ValidationError);
+    assert.throws(( ) => checkUpdateURL(updateURL, { ...values, branch: 'main' }), ValidationError);
+});
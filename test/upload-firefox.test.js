@@ -0,0 +1,99 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as ghapi from '../github-api.js';
+import * as logger from '../logger.js';
+import * as utils from '../utils.js';
+import { after, before, mock, test } from 'node:test';
+import { ZipArchive } from '../zip.js';
+import assert from 'node:assert/strict';
+import { finalize } from '../upload-firefox.js';
+
+/******************************************************************************/
+
+// GitHub and AMO are faked at the fetch() level.
+
+const releaseURL = 'https://api.github.com/repos/gorhill/uBlock/releases/tags/1.0.0';
+const assetURL = 'https://api.github.com/repos/gorhill/uBlock/releases/assets/1';
+const uploadURL = 'https://uploads.github.com/repos/gorhill/uBlock/releases/1/assets';
+const versionURL = 'https://addons.mozilla.org/api/v5/addons/addon/uBlock0@raymondhill.net/versions/v1.0.0/';
+const signedURL = 'https://addons.mozilla.org/firefox/downloads/file/1/signed.xpi';
+
+function fakeStores() {
+    const archive = new ZipArchive();
+    archive.set('manifest.json', JSON.stringify({ manifest_version: 2, name: 'uBO', version: '1.0.0' }));
+    const unsigned = archive.toBytes();
+    const calls = [];
+    mock.method(globalThis, 'fetch', async request => {
+        const { method, url } = request;
+        calls.push(`${method} ${url.replace(/\?.*$/, '')}`);
+        if ( url === releaseURL ) {
+            return Response.json({
+                assets: [ { id: 1, name: 'uBlock0_1.0.0.firefox.xpi', url: assetURL } ],
+                upload_url: `${uploadURL}{?name,label}`,
+            });
+        }
+        if ( url === assetURL && method === 'GET' ) { return new Response(unsigned); }
+        if ( url === assetURL && method === 'DELETE' ) { return new Response(null, { status: 204 }); }
+        if ( url === versionURL ) {
+            return Response.json({ file: { status: 'public', url: signedURL } });
+        }
+        if ( url === signedURL ) { return new Response('signed'); }
+        if ( url.startsWith(uploadURL) ) {
+            return Response.json({ name: new URL(url).searchParams.get('name') });
+        }
+        return new Response(null, { status: 404 });
+    });
+    return calls;
+}
+
+before(( ) => {
+    logger.configure({ level: 'error' });
+    process.env.PUBLISH_EXTENSION_GITHUB_TOKEN = 'github-token-for-tests';
+    process.env.PUBLISH_EXTENSION_AMO_API_KEY = 'amo-key-for-tests';
+    process.env.PUBLISH_EXTENSION_AMO_SECRET = 'amo-secret-for-tests';
+    utils.settings.assumeYes = true;
+    ghapi.init({
+        ghowner: 'gorhill',
+        ghrepo: 'uBlock',
+        ghtag: '1.0.0',
+        ghasset: 'uBlock0_1.0.0.firefox.xpi',
+    });
+});
+
+after(async ( ) => {
+    mock.restoreAll();
+    await utils.cleanDo();
+});
+
+for ( const channel of [ 'listed', 'unlisted' ] ) {
+    test(`signed package replaces the unsigned one, ${channel} channel`, async ( ) => {
+        const calls = fakeStores();
+        await finalize({ storeid: 'uBlock0@raymondhill.net', channel });
+        mock.restoreAll();
+        assert.deepEqual(calls.filter(a => a.startsWith('GET') === false), [
+            `POST ${uploadURL}`,
+            `DELETE ${assetURL}`,
+        ]);
+        assert.ok(calls.includes(`GET ${signedURL}`));
+    });
+}
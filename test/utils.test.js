@@ -0,0 +1,138 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as logger from '../logger.js';
+import * as utils from '../utils.js';
+import { before, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+/******************************************************************************/
+
+// Retry delays are recorded instead of waited for.
+
+before(( ) => {
+    logger.configure({ level: 'error' });
+});
+
+function fakeFetch(responses) {
+    const requests = [];
+    mock.method(globalThis, 'fetch', async request => {
+        requests.push(request);
+        return responses.shift()();
+    });
+    return requests;
+}
+
+function recordDelays() {
+    const delays = [];
+    mock.method(globalThis, 'setTimeout', (fn, ms) => {
+        delays.push(ms / 1000);
+        fn();
+    });
+    return delays;
+}
+
+test('retry honors Retry-After', async t => {
+    t.after(( ) => mock.restoreAll());
+    const requests = fakeFetch([
+        ( ) => new Response('slow down', { status: 429, headers: { 'Retry-After': '7' } }),
+        ( ) => new Response('{"ok":true}', { status: 200 }),
+    ]);
+    const delays = recordDelays();
+    const { data } = await utils.fetchEx('https://example.com/a', 'json');
+    mock.restoreAll();
+    assert.deepEqual(data, { ok: true });
+    assert.equal(requests.length, 2);
+    assert.deepEqual(delays, [ 7 ]);
+});
+
+test('retry honors X-RateLimit-Reset', async t => {
+    t.after(( ) => mock.restoreAll());
+    const reset = Math.floor(Date.now() / 1000) + 30;
+    fakeFetch([
+        ( ) => new Response('rate limited', {
+            status: 403,
+            headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': `${reset}` },
+        }),
+        ( ) => new Response('done', { status: 200 }),
+    ]);
+    const delays = recordDelays();
+    const { data } = await utils.fetchEx('https://example.com/b', 'text');
+    mock.restoreAll();
+    assert.equal(data, 'done');
+    assert.equal(delays.length, 1);
+    assert.ok(delays[0] >= 29 && delays[0] <= 30, `delay was ${delays[0]}`);
+});
+
+test('exponential backoff without hints, up to the retry limit', async t => {
+    t.after(( ) => mock.restoreAll());
+    const requests = fakeFetch([
+        ( ) => new Response('', { status: 503 }),
+        ( ) => new Response('', { status: 502 }),
+        ( ) => new Response('', { status: 500 }),
+        ( ) => new Response('', { status: 504 }),
+    ]);
+    const delays = recordDelays();
+    const { response, data } = await utils.fetchEx('https://example.com/c', 'text', { retries: 3 });
+    mock.restoreAll();
+    assert.equal(response.status, 504);
+    assert.equal(data, undefined);
+    assert.equal(requests.length, 4);
+    const b = utils.settings.fetchBackoff;
+    assert.deepEqual(delays, [ b, b * 2, b * 4 ]);
+});
+
+test('no retry for a plain 403, nor for a POST by default', async t => {
+    t.after(( ) => mock.restoreAll());
+    const requests = fakeFetch([
+        ( ) => new Response('forbidden', { status: 403 }),
+        ( ) => new Response('', { status: 503 }),
+    ]);
+    const { response } = await utils.fetchEx('https://example.com/d', 'text');
+    assert.equal(response.status, 403);
+    const post = await utils.fetchEx(new Request('https://example.com/e', { method: 'POST' }), 'text');
+    assert.equal(post.response.status, 503);
+    assert.equal(requests.length, 2);
+});
+
+test('give up when the server asks to wait too long', async t => {
+    t.after(( ) => mock.restoreAll());
+    const requests = fakeFetch([
+        ( ) => new Response('', { status: 429, headers: { 'Retry-After': '86400' } }),
+    ]);
+    const { response } = await utils.fetchEx('https://example.com/f', 'text');
+    assert.equal(response.status, 429);
+    assert.equal(requests.length, 1);
+});
+
+test('headers are computed anew for each attempt', async t => {
+    t.after(( ) => mock.restoreAll());
+    const requests = fakeFetch([
+        ( ) => new Response('', { status: 503, headers: { 'Retry-After': '1' } }),
+        ( ) => new Response('', { status: 200 }),
+    ]);
+    recordDelays();
+    let n = 0;
+    await utils.fetchEx('https://example.com/g', { headers: ( ) => ({ Authorization: `JWT ${++n}` }) });
+    mock.restoreAll();
+    assert.deepEqual(requests.map(r => r.headers.get('authorization')), [ 'JWT 1', 'JWT 2' ]);
+});
@@ -0,0 +1,154 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import * as fs from 'node:fs/promises';
+import * as logger from '../logger.js';
+import { after, before, test } from 'node:test';
+import { checkVersionIsNewer, validateManifest, validatePackage } from '../validate-manifest.js';
+import { ValidationError } from '../errors.js';
+import { ZipArchive } from '../zip.js';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+
+/******************************************************************************/
+
+const mv3 = {
+    manifest_version: 3,
+    name: 'uBO Lite',
+    version: '2025.101.1200',
+    icons: { 16: 'img/icon_16.png', 128: '/img/icon_128.png' },
+    action: { default_icon: { 16: 'img/icon_16.png' } },
+    background: { service_worker: 'js/background.js' },
+    default_locale: 'en',
+};
+
+const mv3Files = [
+    'manifest.json',
+    'img/icon_16.png',
+    'img/icon_128.png',
+    'js/background.js',
+    '_locales/en/messages.json',
+];
+
+let dir;
+
+before(async ( ) => {
+    logger.configure({ level: 'error' });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-extension-test-'));
+});
+
+after(async ( ) => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+/******************************************************************************/
+
+test('valid MV3 manifest passes for chromium and edge', ( ) => {
+    assert.deepEqual(validateManifest(mv3, mv3Files, 'chromium'), []);
+    assert.deepEqual(validateManifest(mv3, mv3Files, 'edge'), []);
+});
+
+test('version format and range', ( ) => {
+    const problemsFor = version =>
+        validateManifest({ ...mv3, version }, mv3Files, 'chromium');
+    assert.deepEqual(problemsFor('1.2.3.4'), []);
+    assert.match(problemsFor('1.02')[0], /without leading zeros/);
+    assert.match(problemsFor('1.2.3.4.5')[0], /one to four/);
+    assert.match(problemsFor('1.2b')[0], /one to four/);
+    assert.match(problemsFor('1.65536')[0], /between 0 and 65535/);
+    assert.match(problemsFor(undefined)[0], /"version" is missing/);
+});
+
+test('locales and icons must exist in the package', ( ) => {
+    const problems = validateManifest(mv3, [ 'manifest.json', '_locales/fr/messages.json' ], 'chromium');
+    assert.ok(problems.some(a => a.includes('_locales/en/messages.json is missing')));
+    assert.ok(problems.some(a => a.includes('"icons.16" refers to missing file "img/icon_16.png"')));
+    assert.ok(problems.some(a => a.includes('"icons.128" refers to missing file "/img/icon_128.png"')));
+    assert.ok(problems.some(a => a.includes('"action.default_icon.16"')));
+    const noDefault = { ...mv3, default_locale: undefined };
+    assert.ok(validateManifest(noDefault, mv3Files, 'chromium').some(a => a.includes('"default_locale" is required')));
+});
+
+test('store-specific rules', ( ) => {
+    const mv2 = {
+        ...mv3,
+        manifest_version: 2,
+        action: undefined,
+        browser_action: { default_icon: 'img/icon_16.png' },
+        background: { scripts: [ 'js/background.js' ] },
+    };
+    assert.ok(validateManifest(mv2, mv3Files, 'chromium').some(a => a.includes('manifest_version 2')));
+    assert.deepEqual(validateManifest(mv2, mv3Files, 'edge'), []);
+    assert.ok(validateManifest({ ...mv3, key: 'abc' }, mv3Files, 'chromium').some(a => a.includes('"key"')));
+    const firefox = validateManifest(mv3, mv3Files, 'firefox');
+    assert.ok(firefox.some(a => a.includes('gecko.id')));
+    assert.ok(firefox.some(a => a.includes('"background.service_worker" alone')));
+    const gecko = {
+        ...mv3,
+        background: { service_worker: 'js/background.js', scripts: [ 'js/background.js' ] },
+        browser_specific_settings: { gecko: { id: 'uBOLite@raymondhill.net' } },
+    };
+    assert.deepEqual(validateManifest(gecko, mv3Files, 'firefox'), []);
+    const mv3Bad = {
+        ...mv3,
+        background: { scripts: [ 'js/background.js' ] },
+        content_security_policy: "script-src 'self'",
+        web_accessible_resources: [ 'web_accessible_resources/*' ],
+    };
+    const problems = validateManifest(mv3Bad, mv3Files, 'chromium');
+    assert.ok(problems.some(a => a.includes('"background.scripts"')));
+    assert.ok(problems.some(a => a.includes('"content_security_policy"')));
+    assert.ok(problems.some(a => a.includes('"web_accessible_resources"')));
+});
+
+test('version must be greater than the store version', ( ) => {
+    checkVersionIsNewer('1.2.3', '1.2.4', 'Chrome Web Store');
+    checkVersionIsNewer('1.2.3', '1.10', 'Chrome Web Store');
+    checkVersionIsNewer(undefined, '1.0', 'Chrome Web Store');
+    checkVersionIsNewer('2.0', '1.0', 'Chrome Web Store', 'warn');
+    checkVersionIsNewer('2.0', '1.0', 'Chrome Web Store', 'off');
+    assert.throws(
+        ( ) => checkVersionIsNewer('1.2.3', '1.2.3', 'Edge Add-ons'),
+        error => error instanceof ValidationError &&
+            error.problems[0] === 'New version 1.2.3 is not greater than current Edge Add-ons version 1.2.3'
+    );
+});
+
+test('package validation reports all problems at once', async ( ) => {
+    const archive = new ZipArchive();
+    archive.set('manifest.json', JSON.stringify({ ...mv3, version: '1.0.0.0.0', key: 'abc' }));
+    archive.set('js/background.js', '');
+    const packagePath = path.join(dir, 'bad.zip');
+    await fs.writeFile(packagePath, archive.toBytes());
+    await assert.rejects(validatePackage(packagePath, 'chromium'), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.message, 'Package validation failed for chromium');
+        assert.ok(error.problems.length >= 4);
+        return true;
+    });
+    const empty = new ZipArchive();
+    empty.set('README.md', '');
+    const emptyPath = path.join(dir, 'empty.zip');
+    await fs.writeFile(emptyPath, empty.toBytes());
+    await assert.rejects(validatePackage(emptyPath, 'edge'), /Package validation failed/);
+});
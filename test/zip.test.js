@@ -0,0 +1,74 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+
+import { ZipArchive, ZipError, crc32 } from '../zip.js';
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+/******************************************************************************/
+
+const encoder = new TextEncoder();
+
+test('crc32 of known input', ( ) => {
+    assert.equal(crc32(encoder.encode('123456789')), 0xCBF43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('written archive reads back', ( ) => {
+    const archive = new ZipArchive();
+    archive.set('manifest.json', '{"version":"1.0"}');
+    archive.set('js/stored.js', 'console.log(1);', { compress: false });
+    const copy = ZipArchive.fromBytes(archive.toBytes());
+    assert.deepEqual(copy.names(), [ 'manifest.json', 'js/stored.js' ]);
+    assert.equal(copy.readText('manifest.json'), '{"version":"1.0"}');
+    assert.equal(copy.readText('js/stored.js'), 'console.log(1);');
+    assert.equal(copy.has('missing'), false);
+    assert.equal(copy.read('missing'), undefined);
+});
+
+test('replaced entry keeps its place, others are untouched', ( ) => {
+    const archive = new ZipArchive();
+    archive.set('a.txt', 'a');
+    archive.set('manifest.json', '{}');
+    archive.set('b.txt', 'b');
+    const before = archive.toBytes();
+    const copy = ZipArchive.fromBytes(before);
+    copy.set('manifest.json', '{"version":"2.0"}');
+    const after = ZipArchive.fromBytes(copy.toBytes());
+    assert.deepEqual(after.names(), [ 'a.txt', 'manifest.json', 'b.txt' ]);
+    assert.equal(after.readText('manifest.json'), '{"version":"2.0"}');
+    assert.equal(after.readText('a.txt'), 'a');
+    assert.equal(after.readText('b.txt'), 'b');
+});
+
+test('corrupted data is detected', ( ) => {
+    const archive = new ZipArchive();
+    archive.set('a.txt', 'hello', { compress: false });
+    const bytes = archive.toBytes();
+    // Stored data follows the 30-byte local header and the name
+    bytes[30 + 'a.txt'.length] ^= 0xFF;
+    assert.throws(( ) => ZipArchive.fromBytes(bytes).read('a.txt'), ZipError);
+});
+
+test('not a zip archive', ( ) => {
+    assert.throws(( ) => ZipArchive.fromBytes(encoder.encode('hello')), ZipError);
+});
@@ -0,0 +1,263 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as utils from './utils.js';
+import { ValidationError } from './errors.js';
+import { createHash } from 'node:crypto';
+
+/******************************************************************************/
+
+// Firefox update manifest, i.e. `updates.json`, for self-hosted add-ons:
+// https://extensionworkshop.com/documentation/manage/updating-your-extension/
+//
+//   {
+//     "addons": {
+//       "<gecko id>": {
+//         "updates": [
+//           {
+//             "version": "1.2.3",
+//             "update_link": "https://...",
+//             "update_hash": "sha256:...",
+//             "update_info_url": "https://...",
+//             "applications": { "gecko": { "strict_min_version": "115.0" } }
+//           }
+//         ]
+//       }
+//     }
+//   }
+//
+// Entries are kept newest first. Entries of other add-ons in the same file
+// are left untouched.
+
+const reHash = /^sha(256|384|512):[0-9a-f]+$/;
+
+// Where Firefox looks for the update manifest of a self-hosted add-on, as
+// set in the gecko `update_url` of the package. Placeholders are {owner},
+// {repo}, {branch}, {path} (path of the update manifest in the repo) and
+// {tag}.
+export const defaultUpdateURLTemplate =
+    'https://raw.githubusercontent.com/{owner}/{repo}/{branch}/{path}';
+
+/******************************************************************************/
+
+export function geckoSettingsFromManifest(manifest) {
+    return manifest?.browser_specific_settings?.gecko ||
+        manifest?.applications?.gecko;
+}
+
+// Set the gecko `update_url`, creating `browser_specific_settings.gecko` if
+// needed.
+
+export function setUpdateURL(manifest, updateURL) {
+    let gecko = geckoSettingsFromManifest(manifest);
+    if ( gecko === undefined ) {
+        manifest.browser_specific_settings ??= {};
+        gecko = manifest.browser_specific_settings.gecko = {};
+    }
+    gecko.update_url = updateURL;
+}
+
+export function renderUpdateURL(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if ( values[name] === undefined ) {
+            throw new ValidationError('Invalid update URL template', [
+                `No value for {${name}} in "${template}"`,
+            ]);
+        }
+        return values[name];
+    });
+}
+
+// The update URL baked in a signed package can't be changed afterward, so
+// refuse a URL which does not point at the update manifest this tool updates.
+//
+// values:
+//   owner, repo, branch: where the update manifest is committed, branch being
+//     undefined when not part of the URL
+//   path: path of the update manifest in the repo
+
+export function checkUpdateURL(updateURL, values) {
+    const problems = [];
+    let url;
+    try {
+        url = new URL(updateURL);
+    } catch {
+        problems.push(`Not a valid URL: "${updateURL}"`);
+        throw new ValidationError('Invalid update URL', problems);
+    }
+    if ( url.protocol !== 'https:' ) {
+        problems.push(`Update URL must use https: "${updateURL}"`);
+    }
+    const fileName = values.path.split('/').pop();
+    if ( url.pathname.endsWith(`/${fileName}`) === false ) {
+        problems.push(`Update URL "${updateURL}" does not point at "${fileName}"`);
+    }
+    if ( url.hostname === 'raw.githubusercontent.com' && values.branch !== undefined ) {
+        const expected = `/${values.owner}/${values.repo}/${values.branch}/${values.path}`;
+        if ( url.pathname !== expected ) {
+            problems.push(`Update URL "${updateURL}" does not point at ${values.owner}/${values.repo}/${values.branch}/${values.path}`);
+        }
+    }
+    if ( problems.length !== 0 ) {
+        throw new ValidationError('Invalid update URL', problems);
+    }
+}
+
+export async function updateHashFromFile(filePath) {
+    const data = await fs.readFile(filePath);
+    return `sha256:${createHash('sha256').update(data).digest('hex')}`;
+}
+
+/******************************************************************************/
+
+// Returns undefined if the file does not exist.
+
+export async function readUpdateManifest(filePath) {
+    const text = await fs.readFile(filePath, {
+        encoding: 'utf8',
+    }).catch(reason => {
+        if ( reason.code === 'ENOENT' ) { return; }
+        throw reason;
+    });
+    if ( text === undefined ) { return; }
+    try {
+        return JSON.parse(text);
+    } catch (reason) {
+        throw new ValidationError(`Invalid update manifest ${filePath}`, [
+            reason.message,
+        ]);
+    }
+}
+
+/******************************************************************************/
+
+function isURL(value) {
+    if ( typeof value !== 'string' ) { return false; }
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+    }
+    return false;
+}
+
+// Returns the list of problems found, an empty list if none.
+
+export function validateUpdateManifest(data) {
+    const problems = [];
+    if ( data instanceof Object === false || data.addons instanceof Object === false ) {
+        problems.push('"addons" must be an object');
+        return problems;
+    }
+    for ( const [ id, addon ] of Object.entries(data.addons) ) {
+        if ( Array.isArray(addon?.updates) === false ) {
+            problems.push(`addons["${id}"].updates must be an array`);
+            continue;
+        }
+        addon.updates.forEach((update, i) => {
+            const where = `addons["${id}"].updates[${i}]`;
+            if ( typeof update?.version !== 'string' || update.version === '' ) {
+                problems.push(`${where}.version is required`);
+            }
+            if ( isURL(update?.update_link) === false ) {
+                problems.push(`${where}.update_link must be a URL`);
+            } else if ( update.update_link.startsWith('https:') === false && update.update_hash === undefined ) {
+                problems.push(`${where}.update_hash is required for a non-https update_link`);
+            }
+            if ( update?.update_hash !== undefined && reHash.test(update.update_hash) === false ) {
+                problems.push(`${where}.update_hash must be "sha256:<hex>", "sha384:<hex>" or "sha512:<hex>"`);
+            }
+            if ( update?.update_info_url !== undefined && isURL(update.update_info_url) === false ) {
+                problems.push(`${where}.update_info_url must be a URL`);
+            }
+            const gecko = update?.applications?.gecko;
+            for ( const key of [ 'strict_min_version', 'strict_max_version' ] ) {
+                if ( gecko?.[key] === undefined ) { continue; }
+                if ( typeof gecko[key] === 'string' ) { continue; }
+                problems.push(`${where}.applications.gecko.${key} must be a string`);
+            }
+        });
+    }
+    return problems;
+}
+
+/******************************************************************************/
+
+// Add an entry to the update manifest, creating what is missing. Returns the
+// update manifest, or throws ValidationError.
+//
+// details:
+//   addonId: gecko id of the add-on
+//   version: version of the signed package
+//   updateLink: URL of the signed package
+//   updateHash: hash of the signed package, optional
+//   strictMinVersion: minimum Firefox version, optional
+//   updateInfoURL: URL of the release notes, optional
+//   keep: number of entries to keep, 0 to keep all, 1 by default
+
+export function addUpdateEntry(data, details) {
+    const { addonId, version, keep = 1 } = details;
+    if ( data === undefined ) {
+        data = { addons: {} };
+    }
+    if ( data.addons instanceof Object === false ) {
+        data.addons = {};
+    }
+    if ( data.addons[addonId] === undefined ) {
+        data.addons[addonId] = { updates: [] };
+    }
+    const addon = data.addons[addonId];
+    if ( Array.isArray(addon.updates) === false ) {
+        addon.updates = [];
+    }
+    const newest = addon.updates[0];
+    if ( newest !== undefined && utils.compareVersions(version, newest.version) < 0 ) {
+        throw new ValidationError('Update manifest not modified', [
+            `New version ${version} older than current version ${newest.version}`,
+        ]);
+    }
+    const update = {
+        version,
+        update_link: details.updateLink,
+    };
+    if ( details.updateHash !== undefined ) {
+        update.update_hash = details.updateHash;
+    }
+    if ( details.updateInfoURL !== undefined ) {
+        update.update_info_url = details.updateInfoURL;
+    }
+    if ( details.strictMinVersion !== undefined ) {
+        update.applications = {
+            gecko: { strict_min_version: details.strictMinVersion },
+        };
+    }
+    addon.updates = addon.updates.filter(a => a.version !== version);
+    addon.updates.unshift(update);
+    if ( keep > 0 && addon.updates.length > keep ) {
+        addon.updates.length = keep;
+    }
+    const problems = validateUpdateManifest(data);
+    if ( problems.length !== 0 ) {
+        throw new ValidationError('Invalid update manifest', problems);
+    }
+    return data;
+}
@@ -19,80 +19,24 @@
     Home: https://github.com/gorhill/uBlock
 */
 
-import * as fs from 'node:fs/promises';
 import * as ghapi from './github-api.js';
+import * as logger from './logger.js';
 import * as utils from './utils.js';
-import process from 'node:process';
+import { PublishError } from './errors.js';
+import { configSummary } from './config.js';
+import { checkSignature } from './amo-api.js';
+import { updateBranchFromOptions } from './publish-firefox.js';
 
 /******************************************************************************/
 
-const commandLineArgs = utils.commandLineArgs;
-const amoExtensionId = commandLineArgs.storeid;
-const amoChannel = commandLineArgs.channel || '';
-const autoUpdatepath = commandLineArgs.updatepath || '';
+export async function finalize(options) {
+    const amoExtensionId = options.storeid;
+    const amoChannel = options.channel;
+    const autoUpdatepath = options.updatepath || '';
 
-/******************************************************************************/
-
-async function checkSignature(packagePathIn, packagePathOut, manifest) {
-    const [ amoApiKey, amoSecret ] = await Promise.all([
-        utils.getSecret('amo_api_key'),
-        utils.getSecret('amo_secret'),
-    ]);
-    const jwt = new utils.JWT(amoApiKey, amoSecret);
-    console.log('Waiting for AMO to process the request to sign the self-hosted xpi package...');
-    const signingCheckURL =
-    `https://addons.mozilla.org/api/v5/addons/addon/${amoExtensionId}/versions/${manifest.version}/`;
-    const signingCheckRequest = new Request(signingCheckURL, {
-        headers: {
-            Authorization: jwt.getToken(),
-        },
-    });
-    const {
-        response: signingCheckResponse,
-        data: signingCheckDetails,
-    } = await utils.fetchEx(signingCheckRequest, 'json');
-    if ( signingCheckResponse.ok !== true ) {
-        console.log(`Error: AMO lookup failed -- server error ${signingCheckResponse.status}`);
-        process.exit(1);
-    }
-    const { file } = signingCheckDetails;
-    console.log(`AMO validation: ${file?.status}`);
-    if ( file.status === 'disabled' ) {
-        console.log('Error: AMO signing failed')
-        process.exit(1);
-    }
-    if ( file.status === 'unreviewed' ) {
-        console.log('Error: AMO signing is pending')
-        process.exit(1);
-    }
-    console.log('Success: xpi package successfully signed')
-
-    console.log(`Downloading signed self-hosted xpi package from ${file.url}...`);
-    const downloadRequest = new Request(file.url, {
-        headers: {
-            Authorization: jwt.getToken(),
-        },
-    });
-    const {
-        response: downloadResponse,
-        data: signedPackage,
-    } = await utils.fetchEx(downloadRequest, 'bytes');
-    if ( downloadResponse.ok !== true ) {
-        console.log(`Error: Download signed package failed -- server error ${downloadResponse.status}`);
-        process.exit(1);
-    }
-    await fs.writeFile(packagePathOut, signedPackage);
-    console.log(`Signed self-hosted xpi package downloaded at${packagePathOut}`);
-}
-
-/******************************************************************************/
-
-async function main() {
-    if ( /^(un)?listed$/.test(amoChannel) === false ) { return 'Need AMO channel'; }
-
-    const assetInfo = await ghapi.getAssetInfo('firefox');
+    const assetInfo = await ghapi.getAssetInfo();
     if ( assetInfo === undefined ) {
-        process.exit(1);
+        throw new PublishError(`Asset "${ghapi.details.asset}" not found in release ${ghapi.details.tag}`);
     }
 
     await utils.prompt([
@@ -103,16 +47,16 @@ async function main() {
         `  Asset name: "${assetInfo.name}"`,
         `  Extension id: ${amoExtensionId}`,
         `  channel: ${amoChannel}`,
+        ...configSummary(options),
         `Publish? (enter "yes"): `,
     ].join('\n'));
 
     const packagePath = await ghapi.downloadAssetFromRelease(assetInfo);
-    console.log(`Unsigned asset saved at ${packagePath}`);
+    logger.info(`Unsigned asset saved at ${packagePath}`);
 
     const manifest = await utils.getManifestFromPackage(packagePath);
     if ( manifest === undefined ) {
-        console.log('Error: Unable to find manifest file');
-        process.exit(1);
+        throw new PublishError('Unable to find manifest file');
     }
 
     // Fetch asset from GitHub repo
@@ -123,13 +67,21 @@ async function main() {
         signedPackageName = assetInfo.name.replace('.xpi', '.signed.xpi');
         signedPackagePath = `${tempDir}/${signedPackageName}`
 
-        await checkSignature(packagePath, signedPackagePath, manifest);
+        // Also for the listed channel, the signed package is attached to the
+        // release once AMO made it public
+        const downloaded = await checkSignature(signedPackagePath, manifest, {
+            amoExtensionId,
+            channel: amoChannel,
+            download: true,
+        });
+        if ( downloaded !== true ) {
+            throw new PublishError(`Version ${manifest.version} still pending review on AMO, nothing to upload`);
+        }
 
         // Upload to GitHub
         const uploadResult = await ghapi.uploadAssetToRelease(signedPackagePath, 'application/zip');
         if ( uploadResult === undefined ) {
-            console.log(`Failed to upload signed package to ${ghapi.details.owner}/${ghapi.details.repo}/${ghapi.details.tag}`);
-            process.exit(1);
+            throw new PublishError(`Failed to upload signed package to ${ghapi.details.owner}/${ghapi.details.repo}/${ghapi.details.tag}`);
         }
 
         // Delete unsigned package from GitHub
@@ -142,20 +94,18 @@ async function main() {
             amoExtensionId,
             manifest,
             signedPackageName,
+            signedPackagePath,
+            keep: options['update-keep'],
+            updateInfoURL: options['update-info-url'],
+            commitMode: options['update-commit'],
+            branch: options['update-commit'] !== 'local'
+                ? await updateBranchFromOptions(options)
+                : undefined,
         });
         if ( Boolean(r) === false ) {
-            console.log('Auto-update details not brought up to date');
+            logger.warn('auto-update details not brought up to date');
         }
     }
 
-    console.log('Done');
+    logger.info('Done');
 }
-
-main().then(result => {
-    utils.cleanDo();
-    if ( result !== undefined ) {
-        console.log(result);
-        process.exit(1);
-    }
-    process.exit(0);
-});
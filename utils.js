@@ -20,14 +20,28 @@
 */
 
 import * as fs from 'node:fs/promises';
+import * as logger from './logger.js';
 import * as readline from 'node:readline/promises';
+import { AbortedError } from './errors.js';
+import { ZipArchive } from './zip.js';
 import { execSync } from 'node:child_process';
 import { default as jwtSimple } from 'jwt-simple';
-import path from 'node:path';
 import process from 'node:process';
 
 /******************************************************************************/
 
+// Runtime settings, filled in by the command line interface
+
+export const settings = {
+    assumeYes: false,
+    dryRun: false,
+    fetchBackoff: 2,
+    fetchRetries: 3,
+    fetchTimeout: 300,
+};
+
+/******************************************************************************/
+
 export async function sleep(seconds) {
     return new Promise(resolve => {
         setTimeout(resolve, seconds * 1000);
@@ -37,39 +51,176 @@ export async function sleep(seconds) {
 /******************************************************************************/
 
 export async function prompt(message) {
+    if ( settings.dryRun ) {
+        logger.info(`${message}yes (dry run)`);
+        return true;
+    }
+    // Run by `publish all`, which asks once for all stores
+    if ( process.send !== undefined ) {
+        const answer = await new Promise(resolve => {
+            process.once('message', msg => resolve(msg?.answer));
+            process.send({ prompt: message });
+        });
+        if ( answer !== 'yes' ) {
+            throw new AbortedError();
+        }
+        return true;
+    }
+    if ( settings.assumeYes ) {
+        logger.info(`${message}yes (--yes)`);
+        return true;
+    }
+    if ( process.stdin.isTTY !== true ) {
+        throw new AbortedError('Standard input is not a terminal, use --yes to proceed without confirmation');
+    }
     const rl = readline.createInterface({
         input: process.stdin,
-        output: process.stdout,
+        output: logger.infoStream(),
     });
     const answer = await rl.question(message);
+    rl.close();
     if ( answer !== 'yes' ) {
-        console.log('Aborted');
-        process.exit(1);
+        throw new AbortedError();
     }
     return true;
 }
 
 /******************************************************************************/
 
-export async function fetchEx(...args) {
-    const responseType = args.at(-1);
-    let fetchArgs;
-    switch ( responseType ) {
-    case 'bytes':
-    case 'json':
-    case 'text':
-        fetchArgs = args.slice(0, -1);
-        break;
-    default:
-        fetchArgs = args.slice();
-        break;
+// fetch() with retries, backoff and timeout.
+//
+// fetchEx(resource, [responseType], [options])
+//   resource: URL or Request
+//   responseType: 'bytes', 'json', 'text', or none
+//   options:
+//     retry: whether failed attempts can be retried; by default only GET, HEAD
+//       and OPTIONS requests are retried, non-idempotent requests (uploads,
+//       publishes, etc.) must opt in explicitly
+//     retries: maximum number of retries
+//     timeout: per-attempt timeout in seconds
+//     headers: function returning headers to set on each attempt, i.e.
+//       short-lived credentials which must not be reused
+//
+// Network errors, timeouts, 408, 429, 5xx responses and GitHub rate-limit
+// responses are retried. The delay before a retry honors `Retry-After` and
+// `X-RateLimit-Reset`, otherwise uses exponential backoff.
+
+const retryableStatuses = new Set([ 408, 429, 500, 502, 503, 504 ]);
+const maxRetryDelay = 15 * 60;
+
+function isRateLimited(response) {
+    if ( response.status === 429 ) { return true; }
+    if ( response.status !== 403 ) { return false; }
+    if ( response.headers.get('x-ratelimit-remaining') === '0' ) { return true; }
+    return response.headers.has('retry-after');
+}
+
+function retryDelayFromResponse(response) {
+    if ( response === undefined ) { return; }
+    const retryAfter = response.headers.get('retry-after');
+    if ( retryAfter !== null ) {
+        const seconds = /^\d+$/.test(retryAfter)
+            ? parseInt(retryAfter, 10)
+            : (Date.parse(retryAfter) - Date.now()) / 1000;
+        if ( Number.isNaN(seconds) === false ) {
+            return Math.max(Math.ceil(seconds), 1);
+        }
+    }
+    if ( response.headers.get('x-ratelimit-remaining') === '0' ) {
+        const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+        if ( Number.isNaN(reset) === false ) {
+            return Math.max(Math.ceil(reset - Date.now() / 1000), 1);
+        }
+    }
+}
+
+// HTTP tracing, at debug level. Header values which may carry credentials
+// are redacted, see also reportDryRun().
+
+const sensitiveHeaderNames = /auth|client|cookie|key|secret|token/i;
+
+function traceRequest(request) {
+    const lines = [ `HTTP request: ${request.method} ${request.url}` ];
+    for ( const [ name, value ] of request.headers ) {
+        const shown = sensitiveHeaderNames.test(name) ? '[redacted]' : value;
+        lines.push(`  ${name}: ${shown}`);
+    }
+    logger.debug(lines.join('\n'));
+}
+
+function traceResponse(request, response, ms) {
+    if ( response === undefined ) {
+        logger.debug(`HTTP response: none for ${request.method} ${request.url} after ${ms} ms`);
+        return;
+    }
+    const lines = [
+        `HTTP response: ${response.status} ${response.statusText} for ${request.method} ${request.url} after ${ms} ms`,
+    ];
+    for ( const [ name, value ] of response.headers ) {
+        const shown = sensitiveHeaderNames.test(name) ? '[redacted]' : value;
+        lines.push(`  ${name}: ${shown}`);
+    }
+    logger.debug(lines.join('\n'));
+}
+
+function withHeaders(request, headers) {
+    const merged = new Headers(request.headers);
+    for ( const [ name, value ] of Object.entries(headers) ) {
+        merged.set(name, value);
+    }
+    return new Request(request, { headers: merged });
+}
+
+export async function fetchEx(resource, ...args) {
+    const options = typeof args.at(-1) === 'object' ? args.pop() : {};
+    const responseType = args[0];
+    const request = resource instanceof Request ? resource : new Request(resource);
+    const retry = options.retry ?? /^(GET|HEAD|OPTIONS)$/.test(request.method);
+    const maxRetries = retry ? (options.retries ?? settings.fetchRetries) : 0;
+    const timeout = options.timeout ?? settings.fetchTimeout;
+    let response;
+    for ( let attempt = 0; ; attempt++ ) {
+        let failure;
+        const attemptRequest = options.headers !== undefined
+            ? withHeaders(request.clone(), options.headers())
+            : request.clone();
+        traceRequest(attemptRequest);
+        const startedAt = Date.now();
+        response = await fetch(attemptRequest, {
+            signal: AbortSignal.timeout(timeout * 1000),
+        }).catch(reason => {
+            failure = reason.name === 'TimeoutError'
+                ? `timed out after ${timeout}s`
+                : `${reason.cause || reason}`;
+        });
+        traceResponse(request, response, Date.now() - startedAt);
+        if ( response !== undefined ) {
+            if ( response.ok ) { break; }
+            failure = `${response.status} ${response.statusText}`;
+            const retryable = retryableStatuses.has(response.status) ||
+                isRateLimited(response);
+            if ( retryable === false ) {
+                logger.warn(`${request.method} ${request.url}: ${failure}`);
+                break;
+            }
+        }
+        if ( attempt >= maxRetries ) {
+            logger.warn(`${request.method} ${request.url}: ${failure}`);
+            break;
+        }
+        const backoff = Math.min(settings.fetchBackoff * 2 ** attempt, maxRetryDelay);
+        const delay = retryDelayFromResponse(response) ?? backoff;
+        if ( delay > maxRetryDelay ) {
+            logger.warn(`${request.method} ${request.url}: ${failure}, retry delay of ${delay}s too long, giving up`);
+            break;
+        }
+        logger.warn(`${request.method} ${request.url}: ${failure}, retrying in ${delay}s (${attempt+1}/${maxRetries})`);
+        // Drain body of a failed response before retrying
+        await response?.arrayBuffer().catch(( ) => { });
+        await sleep(delay);
     }
-    const response = await fetch(...fetchArgs).catch(reason => {
-        console.log(`${reason}`);
-    });
     if ( response === undefined ) { return { }; }
     if ( response.ok !== true ) {
-        console.log(response.statusText);
         return { response };
     }
     let data;
@@ -88,7 +239,90 @@ export async function fetchEx(...args) {
 }
 
 export function reportFetchError(response) {
-    console.log(response.statusText);
+    logger.info(response.statusText);
+}
+
+/******************************************************************************/
+
+// Output what a mutating request would have sent, without sending it. Header
+// values which may carry credentials are redacted, and the body is summarized.
+
+const sensitiveFieldNames = /client_id|client_secret|password|refresh_token|secret|token/i;
+
+async function summarizeRequestBody(request) {
+    if ( request.body === null ) { return '[none]'; }
+    const contentType = request.headers.get('Content-Type') || '';
+    if ( contentType.startsWith('multipart/form-data') ) {
+        const formData = await request.clone().formData();
+        const fields = [];
+        for ( const [ name, value ] of formData ) {
+            if ( value instanceof Blob ) {
+                fields.push(`${name}=[file ${value.name}, ${value.size} bytes]`);
+            } else if ( sensitiveFieldNames.test(name) ) {
+                fields.push(`${name}=[redacted]`);
+            } else {
+                fields.push(`${name}=${value}`);
+            }
+        }
+        return `form data: ${fields.join(', ')}`;
+    }
+    const bytes = new Uint8Array(await request.clone().arrayBuffer());
+    const text = new TextDecoder('utf-8', { fatal: false }).decode(bytes.slice(0, 4096));
+    try {
+        const json = JSON.parse(text);
+        for ( const key of Object.keys(json) ) {
+            if ( sensitiveFieldNames.test(key) === false ) { continue; }
+            json[key] = '[redacted]';
+        }
+        return `JSON: ${JSON.stringify(json)}`;
+    } catch {
+    }
+    return `${bytes.length} bytes${contentType !== '' ? ` of ${contentType}` : ''}`;
+}
+
+export async function reportDryRun(request, bodySummary) {
+    const lines = [
+        'Dry run -- request not sent:',
+        `  ${request.method} ${request.url}`,
+    ];
+    for ( const [ name, value ] of request.headers ) {
+        const shown = sensitiveHeaderNames.test(name) ? '[redacted]' : value;
+        lines.push(`  ${name}: ${shown}`);
+    }
+    lines.push(`  Body: ${bodySummary || await summarizeRequestBody(request)}`);
+    logger.info(lines.join('\n'));
+}
+
+/******************************************************************************/
+
+// Convert a glob pattern to a regex: `**` matches any sequence of characters
+// including `/`, `*` matches any sequence of characters except `/`, `?`
+// matches any single character except `/`.
+
+export function regexFromGlob(glob) {
+    let reStr = '';
+    for ( let i = 0; i < glob.length; i++ ) {
+        const c = glob[i];
+        if ( c === '*' ) {
+            if ( glob[i+1] === '*' ) {
+                // `**/` also matches zero directories
+                if ( glob[i+2] === '/' ) {
+                    reStr += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    reStr += '.*';
+                    i += 1;
+                }
+            } else {
+                reStr += '[^/]*';
+            }
+        } else if ( c === '?' ) {
+            reStr += '[^/]';
+        } else {
+            reStr += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${reStr}$`);
 }
 
 /******************************************************************************/
@@ -100,14 +334,34 @@ export async function getManifest(path) {
 
 /******************************************************************************/
 
+// Extension packages are expected to have `manifest.json` either at the root
+// or in a single top-level directory. All paths within a package are resolved
+// relative to the directory holding `manifest.json`.
+
+function packageRootFromArchive(archive) {
+    if ( archive.has('manifest.json') ) { return ''; }
+    const candidates = archive.names().filter(a => /^[^/]+\/manifest\.json$/.test(a));
+    if ( candidates.length !== 1 ) { return; }
+    return candidates[0].slice(0, -'manifest.json'.length);
+}
+
 export async function getFileFromPackage(packagePath, needlePath) {
-    const tempDir = await getTempDir();
-    const filePath = await shellExec(`unzip -Z1 ${packagePath} | grep "${needlePath}"`);
-    if ( Boolean(filePath) === false ) { return; }
-    await shellExec(`unzip ${packagePath} ${filePath} -d ${tempDir}`);
-    const text = await fs.readFile(`${tempDir}/${filePath}`, { encoding: 'utf8' });
-    if ( text === undefined ) { return; }
-    return text;
+    const archive = await ZipArchive.fromFile(packagePath);
+    const root = packageRootFromArchive(archive);
+    if ( root === undefined ) { return; }
+    return archive.readText(`${root}${needlePath}`);
+}
+
+// Paths of all files in a package, relative to the directory holding
+// `manifest.json`.
+
+export async function getFileListFromPackage(packagePath) {
+    const archive = await ZipArchive.fromFile(packagePath);
+    const root = packageRootFromArchive(archive);
+    if ( root === undefined ) { return; }
+    return archive.names()
+        .filter(a => a.startsWith(root) && a.endsWith('/') === false)
+        .map(a => a.slice(root.length));
 }
 
 /******************************************************************************/
@@ -121,15 +375,11 @@ export async function getManifestFromPackage(packagePath) {
 /******************************************************************************/
 
 export async function updateManifestInPackage(packagePath, json) {
-    const tempDir = await getTempDir('/tmp/github-deflated-asset-');
-    const manifestPath = await shellExec(`unzip -Z1 ${packagePath} | grep manifest.json`);
-    if ( Boolean(manifestPath) === false ) { return; }
-    const manifestDir = path.dirname(manifestPath);
-    if ( manifestDir !== '' && manifestDir !== '. ' ) {
-        await shellExec(`mkdir -p ${tempDir}/${manifestDir}`);
-    }
-    await fs.writeFile(`${tempDir}/${manifestPath}`, JSON.stringify(json, null, 2));
-    await shellExec(`cd ${tempDir} && zip -qr ${packagePath} ${manifestPath} && cd -`);
+    const archive = await ZipArchive.fromFile(packagePath);
+    const root = packageRootFromArchive(archive);
+    if ( root === undefined ) { return; }
+    archive.set(`${root}manifest.json`, JSON.stringify(json, null, 2));
+    await archive.save(packagePath);
     return true;
 }
 
@@ -187,9 +437,7 @@ export async function shellExec(text, options = {}) {
         }
         command = command.trim();
         if ( command === '' ) { continue; }
-        if ( commandLineArgs.verbose ) {
-            console.log(`Executing: ${command}`);
-        }
+        logger.debug(`Executing: ${command}`);
         r = execSync(command, Object.assign({ encoding: 'utf8' }, options));
         command = '';
     }
@@ -221,7 +469,7 @@ export async function cleanDo() {
 export async function getTempDir() {
     const tempDir = await fs.mkdtemp('/tmp/github-asset-');
     cleanupAdd(( ) => {
-        console.log(`Removing ${tempDir}`);
+        logger.info(`Removing ${tempDir}`);
         shellExec(`rm -rf "${tempDir}"`);
     });
     return tempDir;
@@ -229,33 +477,24 @@ export async function getTempDir() {
 
 /******************************************************************************/
 
-// https://grahamwatts.co.uk/gnome-secrets/
-// Store:
-//   secret-tool store --label="[...]" token [name]
-//   Enter [secret] at prompt
-// Retrieve:
-//   secret-tool lookup token [name]
-
-// https://scriptingosx.com/2021/04/get-password-from-keychain-in-shell-scripts/
-// Store:
-//   security add-generic-password -s [name] -a "publish-extension" -w "[secret]"
-// Retrieve:
-//   security find-generic-password -w -s [name] -a "publish-extension"
-
-export async function getSecret(token) {
-    if ( secrets[token] === undefined ) {
-        const platform = await shellExec(`uname`);
-        if ( platform === 'Linux' ) {
-            secrets[token] = await shellExec(`secret-tool lookup token ${token}`);
-        } else if ( platform === 'Darwin' ) {
-            secrets[token] = await shellExec(`security find-generic-password -w -s "${token}" -a "publish-extension"`);
-        }
+export { getSecret } from './secrets.js';
+
+/******************************************************************************/
+
+// Compare dot-separated numeric versions part by part: returns a negative
+// number if a < b, zero if equal, a positive number if a > b.
+
+export function compareVersions(a, b) {
+    const aParts = `${a}`.split('.').map(s => parseInt(s, 10) || 0);
+    const bParts = `${b}`.split('.').map(s => parseInt(s, 10) || 0);
+    const n = Math.max(aParts.length, bParts.length);
+    for ( let i = 0; i < n; i++ ) {
+        const diff = (aParts[i] || 0) - (bParts[i] || 0);
+        if ( diff !== 0 ) { return diff; }
     }
-    return secrets[token];
+    return 0;
 }
 
-const secrets = {};
-
 /******************************************************************************/
 
 export function intFromVersion(version) {
@@ -269,22 +508,3 @@ export function intFromVersion(version) {
     }
     return versionInt;
 }
-
-/******************************************************************************/
-
-export const commandLineArgs = (( ) => {
-    const args = Object.create(null);
-    let name, value;
-    for ( const arg of process.argv.slice(2) ) {
-        const pos = arg.indexOf('=');
-        if ( pos === -1 ) {
-            name = arg;
-            value = true;
-        } else {
-            name = arg.slice(0, pos);
-            value = arg.slice(pos+1);
-        }
-        args[name] = value;
-    }
-    return args;
-})();
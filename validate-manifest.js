@@ -0,0 +1,223 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as logger from './logger.js';
+import * as utils from './utils.js';
+import { ValidationError } from './errors.js';
+
+/******************************************************************************/
+
+// Catch before uploading what a store would otherwise reject after the
+// upload, with an often opaque error message. All problems are collected
+// and reported at once.
+//
+// store: 'chromium' | 'edge' | 'firefox'
+
+// https://developer.chrome.com/docs/extensions/reference/manifest/version
+const reVersion = /^(0|[1-9]\d*)(\.(0|[1-9]\d*)){0,3}$/;
+const maxVersionPart = 65535;
+const maxVersionNameLength = 100;
+
+/******************************************************************************/
+
+function checkVersion(manifest, problems) {
+    const { version } = manifest;
+    if ( typeof version !== 'string' || version === '' ) {
+        problems.push('"version" is missing');
+        return;
+    }
+    if ( reVersion.test(version) === false ) {
+        problems.push(`"version" must be one to four dot-separated integers without leading zeros: "${version}"`);
+        return;
+    }
+    for ( const part of version.split('.') ) {
+        if ( parseInt(part, 10) <= maxVersionPart ) { continue; }
+        problems.push(`"version" parts must be between 0 and ${maxVersionPart}: "${version}"`);
+        break;
+    }
+}
+
+function checkVersionName(manifest, problems) {
+    const { version_name: versionName } = manifest;
+    if ( versionName === undefined ) { return; }
+    if ( typeof versionName !== 'string' ) {
+        problems.push('"version_name" must be a string');
+        return;
+    }
+    if ( versionName.length > maxVersionNameLength ) {
+        problems.push(`"version_name" is longer than ${maxVersionNameLength} characters: "${versionName}"`);
+    }
+}
+
+function checkLocales(manifest, files, problems) {
+    const locales = new Set();
+    for ( const file of files ) {
+        const match = /^_locales\/([^/]+)\/messages\.json$/.exec(file);
+        if ( match === null ) { continue; }
+        locales.add(match[1]);
+    }
+    const hasLocalesDir = files.some(a => a.startsWith('_locales/'));
+    const { default_locale: defaultLocale } = manifest;
+    if ( defaultLocale === undefined ) {
+        if ( hasLocalesDir ) {
+            problems.push('"default_locale" is required when a _locales directory is present');
+        }
+        return;
+    }
+    if ( hasLocalesDir === false ) {
+        problems.push(`"default_locale" is "${defaultLocale}" but there is no _locales directory`);
+        return;
+    }
+    if ( locales.has(defaultLocale) === false ) {
+        problems.push(`"default_locale" is "${defaultLocale}" but _locales/${defaultLocale}/messages.json is missing`);
+    }
+}
+
+function iconPathsFromManifest(manifest) {
+    const out = [];
+    const collect = (where, value) => {
+        if ( typeof value === 'string' ) {
+            out.push({ where, path: value });
+        } else if ( value instanceof Object ) {
+            for ( const [ size, path ] of Object.entries(value) ) {
+                if ( typeof path !== 'string' ) { continue; }
+                out.push({ where: `${where}.${size}`, path });
+            }
+        }
+    };
+    collect('icons', manifest.icons);
+    for ( const key of [ 'action', 'browser_action', 'page_action' ] ) {
+        collect(`${key}.default_icon`, manifest[key]?.default_icon);
+    }
+    collect('sidebar_action.default_icon', manifest.sidebar_action?.default_icon);
+    return out;
+}
+
+function checkIcons(manifest, files, problems) {
+    const fileSet = new Set(files);
+    for ( const { where, path } of iconPathsFromManifest(manifest) ) {
+        const normalized = path.replace(/^\.?\//, '');
+        if ( fileSet.has(normalized) ) { continue; }
+        problems.push(`"${where}" refers to missing file "${path}"`);
+    }
+}
+
+function checkGecko(manifest, problems) {
+    const gecko = manifest.browser_specific_settings?.gecko ||
+        manifest.applications?.gecko;
+    if ( typeof gecko?.id !== 'string' || gecko.id === '' ) {
+        problems.push('"browser_specific_settings.gecko.id" is required by AMO');
+    }
+}
+
+// Keys which a store rejects depending on the manifest version.
+function checkManifestVersionKeys(manifest, store, problems) {
+    const mv = manifest.manifest_version;
+    if ( mv !== 2 && mv !== 3 ) {
+        problems.push(`"manifest_version" must be 2 or 3, got ${mv}`);
+        return;
+    }
+    if ( store === 'chromium' && mv === 2 ) {
+        problems.push('Chrome Web Store no longer accepts manifest_version 2');
+    }
+    if ( store === 'chromium' && manifest.key !== undefined ) {
+        problems.push('"key" must not be present in a package uploaded to the Chrome Web Store');
+    }
+    if ( mv !== 3 ) { return; }
+    if ( store === 'chromium' || store === 'edge' ) {
+        if ( manifest.background?.scripts !== undefined || manifest.background?.page !== undefined ) {
+            problems.push('"background.scripts"/"background.page" are not supported in MV3, use "background.service_worker"');
+        }
+    }
+    if ( store === 'firefox' ) {
+        const bg = manifest.background;
+        if ( bg?.service_worker !== undefined && bg.scripts === undefined && bg.page === undefined ) {
+            problems.push('"background.service_worker" alone is not supported by Firefox, add "background.scripts"');
+        }
+    }
+    if ( manifest.browser_action !== undefined || manifest.page_action !== undefined ) {
+        if ( store !== 'firefox' || manifest.browser_action !== undefined ) {
+            problems.push('"browser_action"/"page_action" are not supported in MV3, use "action"');
+        }
+    }
+    if ( typeof manifest.content_security_policy === 'string' ) {
+        problems.push('"content_security_policy" must be an object in MV3');
+    }
+    const war = manifest.web_accessible_resources;
+    if ( Array.isArray(war) && war.some(a => typeof a === 'string') ) {
+        problems.push('"web_accessible_resources" must be a list of objects in MV3');
+    }
+}
+
+/******************************************************************************/
+
+export function validateManifest(manifest, files, store) {
+    const problems = [];
+    checkVersion(manifest, problems);
+    checkVersionName(manifest, problems);
+    checkLocales(manifest, files, problems);
+    checkIcons(manifest, files, problems);
+    if ( store === 'firefox' ) {
+        checkGecko(manifest, problems);
+    }
+    checkManifestVersionKeys(manifest, store, problems);
+    return problems;
+}
+
+// The version of the package must be strictly greater than what the store
+// already has.
+//   mode: 'strict' (refuse), 'warn' or 'off'
+
+export function checkVersionIsNewer(currentVersion, newVersion, store, mode = 'strict') {
+    if ( mode === 'off' ) { return; }
+    if ( currentVersion === undefined ) {
+        logger.warn(`unable to find current version on ${store}, version not checked`);
+        return;
+    }
+    if ( utils.compareVersions(newVersion, currentVersion) > 0 ) { return; }
+    const message = `New version ${newVersion} is not greater than current ${store} version ${currentVersion}`;
+    if ( mode === 'warn' ) {
+        logger.warn(message);
+        return;
+    }
+    throw new ValidationError('Version check failed', [ message ]);
+}
+
+/******************************************************************************/
+
+// Throws ValidationError listing all problems found with the manifest of the
+// package at packagePath.
+
+export async function validatePackage(packagePath, store) {
+    const manifest = await utils.getManifestFromPackage(packagePath);
+    const files = await utils.getFileListFromPackage(packagePath);
+    if ( manifest === undefined || files === undefined ) {
+        throw new ValidationError('Package validation failed', [
+            'manifest.json not found at the root of the package',
+        ]);
+    }
+    const problems = validateManifest(manifest, files, store);
+    if ( problems.length === 0 ) {
+        logger.info('Package validation passed');
+        return;
+    }
+    throw new ValidationError(`Package validation failed for ${store}`, problems);
+}
@@ -0,0 +1,314 @@
+/*******************************************************************************
+
+    uBlock Origin - a comprehensive, efficient content blocker
+    Copyright (C) 2025-present Raymond Hill
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see {http://www.gnu.org/licenses/}.
+
+    Home: https://github.com/gorhill/uBlock
+*/
+
+import * as fs from 'node:fs/promises';
+import * as zlib from 'node:zlib';
+
+/******************************************************************************/
+
+// Minimal in-process zip reader/writer, enough to inspect and patch extension
+// packages. Entries which are not modified are copied verbatim, i.e. their
+// compressed data, compression method, timestamps and order are preserved.
+// Zip64 archives, encryption and multi-disk archives are not supported.
+//
+// Reference: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+
+const SIG_LOCAL_HEADER = 0x04034b50;
+const SIG_CENTRAL_HEADER = 0x02014b50;
+const SIG_END_OF_CENTRAL_DIR = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+/******************************************************************************/
+
+const crcTable = (( ) => {
+    const table = new Uint32Array(256);
+    for ( let i = 0; i < 256; i++ ) {
+        let c = i;
+        for ( let k = 0; k < 8; k++ ) {
+            c = (c & 1) !== 0 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[i] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for ( let i = 0; i < bytes.length; i++ ) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/******************************************************************************/
+
+function dosDateTimeFromDate(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >>> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+function toBytes(data) {
+    if ( typeof data === 'string' ) {
+        return new TextEncoder().encode(data);
+    }
+    if ( data instanceof Uint8Array ) { return data; }
+    if ( data instanceof ArrayBuffer ) { return new Uint8Array(data); }
+    throw new TypeError('Zip entry data must be a string, Uint8Array or ArrayBuffer');
+}
+
+/******************************************************************************/
+
+export class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+/******************************************************************************/
+
+export class ZipArchive {
+    #entries = [];
+
+    static async fromFile(filePath) {
+        const bytes = await fs.readFile(filePath);
+        return ZipArchive.fromBytes(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length));
+    }
+
+    static fromBytes(bytes) {
+        const archive = new ZipArchive();
+        archive.#parse(bytes);
+        return archive;
+    }
+
+    // Exact entry names, in archive order
+    names() {
+        return this.#entries.map(a => a.name);
+    }
+
+    has(name) {
+        return this.#entries.some(a => a.name === name);
+    }
+
+    read(name) {
+        const entry = this.#entries.find(a => a.name === name);
+        if ( entry === undefined ) { return; }
+        if ( entry.data !== undefined ) { return entry.data; }
+        let data;
+        switch ( entry.method ) {
+        case METHOD_STORE:
+            data = entry.compressed;
+            break;
+        case METHOD_DEFLATE:
+            data = new Uint8Array(zlib.inflateRawSync(entry.compressed));
+            break;
+        default:
+            throw new ZipError(`${name}: unsupported compression method ${entry.method}`);
+        }
+        if ( crc32(data) !== entry.crc ) {
+            throw new ZipError(`${name}: CRC mismatch`);
+        }
+        return data;
+    }
+
+    readText(name) {
+        const data = this.read(name);
+        if ( data === undefined ) { return; }
+        return new TextDecoder().decode(data);
+    }
+
+    // Replace the content of an existing entry in place, or append a new
+    // entry at the end of the archive.
+    set(name, data, options = {}) {
+        const bytes = toBytes(data);
+        const compress = options.compress ?? true;
+        const compressed = compress
+            ? new Uint8Array(zlib.deflateRawSync(bytes, { level: 9 }))
+            : bytes;
+        const existing = this.#entries.find(a => a.name === name);
+        const { time, date } = options.date !== undefined || existing === undefined
+            ? dosDateTimeFromDate(options.date || new Date())
+            : existing;
+        const entry = {
+            name,
+            versionMadeBy: existing?.versionMadeBy ?? 0x031E,
+            versionNeeded: 20,
+            flags: FLAG_UTF8,
+            method: compress ? METHOD_DEFLATE : METHOD_STORE,
+            time,
+            date,
+            crc: crc32(bytes),
+            compressedSize: compressed.length,
+            size: bytes.length,
+            localExtra: new Uint8Array(0),
+            centralExtra: new Uint8Array(0),
+            comment: existing?.comment ?? new Uint8Array(0),
+            internalAttributes: existing?.internalAttributes ?? 0,
+            externalAttributes: existing?.externalAttributes ?? ((0o100644 << 16) >>> 0),
+            compressed,
+            data: bytes,
+        };
+        if ( existing !== undefined ) {
+            this.#entries[this.#entries.indexOf(existing)] = entry;
+        } else {
+            this.#entries.push(entry);
+        }
+    }
+
+    toBytes() {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        for ( const entry of this.#entries ) {
+            const nameBytes = encoder.encode(entry.name);
+            // Sizes and CRC are always known here, so no data descriptor is
+            // ever written
+            const flags = entry.flags & ~FLAG_DATA_DESCRIPTOR;
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, SIG_LOCAL_HEADER, true);
+            local.setUint16(4, entry.versionNeeded, true);
+            local.setUint16(6, flags, true);
+            local.setUint16(8, entry.method, true);
+            local.setUint16(10, entry.time, true);
+            local.setUint16(12, entry.date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.compressedSize, true);
+            local.setUint32(22, entry.size, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, entry.localExtra.length, true);
+            chunks.push(new Uint8Array(local.buffer), nameBytes, entry.localExtra, entry.compressed);
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, SIG_CENTRAL_HEADER, true);
+            header.setUint16(4, entry.versionMadeBy, true);
+            header.setUint16(6, entry.versionNeeded, true);
+            header.setUint16(8, flags, true);
+            header.setUint16(10, entry.method, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.compressedSize, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, nameBytes.length, true);
+            header.setUint16(30, entry.centralExtra.length, true);
+            header.setUint16(32, entry.comment.length, true);
+            header.setUint16(34, 0, true);
+            header.setUint16(36, entry.internalAttributes, true);
+            header.setUint32(38, entry.externalAttributes, true);
+            header.setUint32(42, offset, true);
+            central.push(new Uint8Array(header.buffer), nameBytes, entry.centralExtra, entry.comment);
+            offset += 30 + nameBytes.length + entry.localExtra.length + entry.compressed.length;
+        }
+        const centralSize = central.reduce((acc, a) => acc + a.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, SIG_END_OF_CENTRAL_DIR, true);
+        end.setUint16(8, this.#entries.length, true);
+        end.setUint16(10, this.#entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        const out = new Uint8Array(offset + centralSize + 22);
+        let pos = 0;
+        for ( const chunk of [ ...chunks, ...central, new Uint8Array(end.buffer) ] ) {
+            out.set(chunk, pos);
+            pos += chunk.length;
+        }
+        return out;
+    }
+
+    async save(filePath) {
+        await fs.writeFile(filePath, this.toBytes());
+    }
+
+    #parse(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        // End of central directory record is at the end, possibly followed by
+        // a comment of at most 65535 bytes
+        let eocd = -1;
+        const lowest = Math.max(0, bytes.length - 22 - 0xFFFF);
+        for ( let i = bytes.length - 22; i >= lowest; i-- ) {
+            if ( view.getUint32(i, true) !== SIG_END_OF_CENTRAL_DIR ) { continue; }
+            eocd = i;
+            break;
+        }
+        if ( eocd === -1 ) {
+            throw new ZipError('Not a zip archive: end of central directory not found');
+        }
+        const count = view.getUint16(eocd + 10, true);
+        let pos = view.getUint32(eocd + 16, true);
+        if ( count === 0xFFFF || pos === 0xFFFFFFFF ) {
+            throw new ZipError('Zip64 archives are not supported');
+        }
+        const decoder = new TextDecoder();
+        for ( let i = 0; i < count; i++ ) {
+            if ( view.getUint32(pos, true) !== SIG_CENTRAL_HEADER ) {
+                throw new ZipError('Corrupted central directory');
+            }
+            const flags = view.getUint16(pos + 8, true);
+            if ( (flags & FLAG_ENCRYPTED) !== 0 ) {
+                throw new ZipError('Encrypted archives are not supported');
+            }
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const localOffset = view.getUint32(pos + 42, true);
+            const nameStart = pos + 46;
+            const entry = {
+                name: decoder.decode(bytes.subarray(nameStart, nameStart + nameLength)),
+                versionMadeBy: view.getUint16(pos + 4, true),
+                versionNeeded: view.getUint16(pos + 6, true),
+                flags,
+                method: view.getUint16(pos + 10, true),
+                time: view.getUint16(pos + 12, true),
+                date: view.getUint16(pos + 14, true),
+                crc: view.getUint32(pos + 16, true),
+                compressedSize: view.getUint32(pos + 20, true),
+                size: view.getUint32(pos + 24, true),
+                centralExtra: bytes.slice(nameStart + nameLength, nameStart + nameLength + extraLength),
+                comment: bytes.slice(
+                    nameStart + nameLength + extraLength,
+                    nameStart + nameLength + extraLength + commentLength
+                ),
+                internalAttributes: view.getUint16(pos + 36, true),
+                externalAttributes: view.getUint32(pos + 38, true),
+            };
+            if ( view.getUint32(localOffset, true) !== SIG_LOCAL_HEADER ) {
+                throw new ZipError(`${entry.name}: corrupted local header`);
+            }
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const localExtraStart = localOffset + 30 + localNameLength;
+            const dataStart = localExtraStart + localExtraLength;
+            entry.localExtra = bytes.slice(localExtraStart, dataStart);
+            entry.compressed = bytes.slice(dataStart, dataStart + entry.compressedSize);
+            this.#entries.push(entry);
+            pos = nameStart + nameLength + extraLength + commentLength;
+        }
+    }
+}